@@ -0,0 +1,99 @@
+// Migrates the embedded User.followers / User.following arrays into the
+// Follow collection, recomputes follower counts and removes the arrays.
+//
+// Usage: node scripts/migrate-follows.js [--keep-arrays]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Follow = require('../src/models/Follow');
+
+const BATCH_SIZE = 1000;
+
+const migrate = async () => {
+  const keepArrays = process.argv.includes('--keep-arrays');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  await Follow.syncIndexes();
+
+  const users = mongoose.connection.collection('users');
+  const cursor = users.find(
+    { $or: [{ 'following.0': { $exists: true } }, { 'followers.0': { $exists: true } }] },
+    { projection: { following: 1, followers: 1 } }
+  );
+
+  let operations = [];
+  let scanned = 0;
+  let inserted = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Follow.bulkWrite(operations, { ordered: false });
+    inserted += result.upsertedCount;
+    operations = [];
+  };
+
+  // Both sides of every edge are upserted, so arrays that drifted out of
+  // sync still produce a single edge per pair
+  for await (const user of cursor) {
+    scanned++;
+
+    const edges = [
+      ...(user.following || []).map(id => ({ follower: user._id, following: id })),
+      ...(user.followers || []).map(id => ({ follower: id, following: user._id }))
+    ];
+
+    for (const edge of edges) {
+      operations.push({
+        updateOne: {
+          filter: edge,
+          update: { $setOnInsert: { ...edge, createdAt: new Date() } },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`👥 Scanned ${scanned} users, created ${inserted} follow edges`);
+
+  // Recompute counters from the edge collection
+  await users.updateMany({}, { $set: { followersCount: 0, followingCount: 0 } });
+
+  const followerCounts = await Follow.aggregate([{ $group: { _id: '$following', count: { $sum: 1 } } }]);
+  const followingCounts = await Follow.aggregate([{ $group: { _id: '$follower', count: { $sum: 1 } } }]);
+
+  const counterOps = [
+    ...followerCounts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { followersCount: count } } }
+    })),
+    ...followingCounts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { followingCount: count } } }
+    }))
+  ];
+
+  for (let i = 0; i < counterOps.length; i += BATCH_SIZE) {
+    await users.bulkWrite(counterOps.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  console.log('🔢 Recomputed follower and following counts');
+
+  if (!keepArrays) {
+    await users.updateMany({}, { $unset: { followers: '', following: '' } });
+    console.log('🧹 Removed embedded followers/following arrays');
+  }
+
+  await mongoose.connection.close();
+  console.log('🎉 Follow migration complete');
+};
+
+migrate().catch(async (error) => {
+  console.error('❌ Follow migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+// Extracts #hashtags from existing post captions/tags and comments, then
+// rebuilds the Hashtag collection's post and comment counts.
+//
+// Usage: node scripts/migrate-hashtags.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Hashtag = require('../src/models/Hashtag');
+const { extractHashtags, getPostHashtags } = require('../src/utils/hashtags');
+
+const BATCH_SIZE = 1000;
+
+const migrateCollection = async (collectionName, getHashtags) => {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find({}, { projection: { caption: 1, tags: 1, content: 1 } });
+
+  let operations = [];
+  let scanned = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await collection.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+
+    operations.push({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { hashtags: getHashtags(doc) } } }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`#️⃣ ${collectionName}: scanned ${scanned} documents`);
+};
+
+// Recompute a Hashtag counter from the active documents using each tag
+const rebuildCounts = async (collectionName, counter) => {
+  const counts = await mongoose.connection.collection(collectionName).aggregate([
+    { $match: { isActive: true, 'hashtags.0': { $exists: true } } },
+    { $unwind: '$hashtags' },
+    { $group: { _id: '$hashtags', count: { $sum: 1 }, lastUsedAt: { $max: '$createdAt' } } }
+  ]).toArray();
+
+  const counterOps = counts.map(({ _id, count, lastUsedAt }) => ({
+    updateOne: {
+      filter: { name: _id },
+      update: { $set: { [counter]: count }, $max: { lastUsedAt } },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < counterOps.length; i += BATCH_SIZE) {
+    await Hashtag.bulkWrite(counterOps.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  console.log(`📊 ${collectionName}: ${counts.length} hashtags counted`);
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  await Hashtag.syncIndexes();
+
+  await migrateCollection('posts', doc => getPostHashtags(doc.caption, doc.tags || []));
+  await migrateCollection('comments', doc => extractHashtags(doc.content));
+
+  await Hashtag.updateMany({}, { $set: { postsCount: 0, commentsCount: 0 } });
+  await rebuildCounts('posts', 'postsCount');
+  await rebuildCounts('comments', 'commentsCount');
+
+  await mongoose.connection.close();
+  console.log('🎉 Hashtag migration complete');
+};
+
+migrate().catch(async (error) => {
+  console.error('❌ Hashtag migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// Migrates the embedded Post.likes / Comment.likes arrays into the Like
+// collection, recomputes likesCount and removes the arrays.
+//
+// Usage: node scripts/migrate-likes.js [--keep-arrays]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Like = require('../src/models/Like');
+
+const BATCH_SIZE = 1000;
+
+const migrateCollection = async (collectionName, targetType, keepArrays) => {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1 } }
+  );
+
+  let operations = [];
+  let scanned = 0;
+  let inserted = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Like.bulkWrite(operations, { ordered: false });
+    inserted += result.upsertedCount;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+
+    for (const like of doc.likes) {
+      if (!like.user) continue;
+
+      const filter = { targetType, target: doc._id, user: like.user };
+      operations.push({
+        updateOne: {
+          filter,
+          update: { $setOnInsert: { ...filter, createdAt: like.createdAt || new Date() } },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`❤️ ${collectionName}: scanned ${scanned} documents, created ${inserted} likes`);
+
+  // Recompute counters from the Like collection
+  const counts = await Like.aggregate([
+    { $match: { targetType } },
+    { $group: { _id: '$target', count: { $sum: 1 } } }
+  ]);
+
+  await collection.updateMany({}, { $set: { likesCount: 0 } });
+
+  const counterOps = counts.map(({ _id, count }) => ({
+    updateOne: { filter: { _id }, update: { $set: { likesCount: count } } }
+  }));
+
+  for (let i = 0; i < counterOps.length; i += BATCH_SIZE) {
+    await collection.bulkWrite(counterOps.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  if (!keepArrays) {
+    await collection.updateMany({}, { $unset: { likes: '' } });
+  }
+};
+
+const migrate = async () => {
+  const keepArrays = process.argv.includes('--keep-arrays');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  await Like.syncIndexes();
+
+  await migrateCollection('posts', 'post', keepArrays);
+  await migrateCollection('comments', 'comment', keepArrays);
+
+  if (!keepArrays) {
+    // Drop the index on the removed comment likes array if it exists
+    await mongoose.connection.collection('comments').dropIndex('likes.user_1').catch(() => {});
+    console.log('🧹 Removed embedded likes arrays');
+  }
+
+  await mongoose.connection.close();
+  console.log('🎉 Like migration complete');
+};
+
+migrate().catch(async (error) => {
+  console.error('❌ Like migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
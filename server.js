@@ -8,6 +8,9 @@ require('dotenv').config();
 
 const connectDB = require('./src/config/db');
 const { errorHandler } = require('./src/middleware/error');
+const { initRealtime } = require('./src/realtime/gateway');
+const { startSuspensionSweeper } = require('./src/utils/suspensions');
+const { startPostScheduler } = require('./src/utils/scheduledPosts');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -17,6 +20,12 @@ const commentRoutes = require('./src/routes/comment');
 const storyRoutes = require('./src/routes/story');
 const serviceRoutes = require('./src/routes/service');
 const adRoutes = require('./src/routes/advertisement');
+const adminRoutes = require('./src/routes/admin');
+const conversationRoutes = require('./src/routes/conversation');
+const notificationRoutes = require('./src/routes/notification');
+const reportRoutes = require('./src/routes/report');
+const suspensionRoutes = require('./src/routes/suspension');
+const hashtagRoutes = require('./src/routes/hashtag');
 
 const app = express();
 
@@ -61,6 +70,12 @@ app.use('/api/comments', commentRoutes);
 app.use('/api/stories', storyRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/advertisements', adRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/suspension', suspensionRoutes);
+app.use('/api/hashtags', hashtagRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -84,10 +99,21 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 LykeChat server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
 });
 
+// WebSocket gateway (chat, notifications, presence)
+initRealtime(server).catch(error => {
+  console.error('Realtime gateway error:', error);
+});
+
+// Reinstate accounts whose temporary suspensions have ended
+startSuspensionSweeper();
+
+// Publish scheduled posts when they are due
+startPostScheduler();
+
 module.exports = app;
\ No newline at end of file
@@ -26,6 +26,18 @@ const adCache = new NodeCache({
   checkperiod: 300 
 });
 
+const moderationCache = new NodeCache({
+  stdTTL: 300, // 5 minutes
+  checkperiod: 60
+});
+
+// Ranked lists paged through by offset (trending posts). Kept apart from
+// postCache, which is flushed on every like, so pages don't shift mid-scroll.
+const rankingCache = new NodeCache({
+  stdTTL: 900, // 15 minutes
+  checkperiod: 120
+});
+
 // Cache utility functions
 const cacheUtils = {
   // Generate cache keys
@@ -33,6 +45,11 @@ const cacheUtils = {
     return `${prefix}:${args.join(':')}`;
   },
 
+  // Delete every key starting with prefix, e.g. a user's feed pages
+  delByPrefix: (cache, prefix) => {
+    return cache.del(cache.keys().filter(key => key.startsWith(prefix)));
+  },
+
   // Get cache stats
   getStats: () => {
     return {
@@ -40,7 +57,9 @@ const cacheUtils = {
       post: postCache.getStats(),
       story: storyCache.getStats(),
       service: serviceCache.getStats(),
-      ad: adCache.getStats()
+      ad: adCache.getStats(),
+      moderation: moderationCache.getStats(),
+      ranking: rankingCache.getStats()
     };
   },
 
@@ -51,6 +70,8 @@ const cacheUtils = {
     storyCache.flushAll();
     serviceCache.flushAll();
     adCache.flushAll();
+    moderationCache.flushAll();
+    rankingCache.flushAll();
   }
 };
 
@@ -60,5 +81,7 @@ module.exports = {
   storyCache,
   serviceCache,
   adCache,
+  moderationCache,
+  rankingCache,
   cacheUtils
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// "For You" feed ranking settings (see src/utils/feedRanking.js).
+//
+// Every candidate post gets a score
+//   score = Σ weights[signal] × signal
+// where each signal is scaled to 0..1:
+//   recency    - halves every `recencyHalfLifeHours`
+//   engagement - likes, comments and shares per hour since the post went up
+//   affinity   - how much you have liked and commented on the author's posts
+//   interests  - how many of the post's hashtags match your interests
+// A signal with weight 0 is left out.
+
+const FEED_RANKING = {
+  weights: {
+    recency: 1,
+    engagement: 1.5,
+    affinity: 2,
+    interests: 1
+  },
+
+  // Candidates are the most recent posts you can see from this window
+  candidateWindowHours: 72,
+  candidateLimit: 500,
+
+  recencyHalfLifeHours: 12,
+
+  engagement: {
+    likeWeight: 1,
+    commentWeight: 3,
+    shareWeight: 5,
+    // Weighted interactions per hour at which the signal reaches 0.5
+    halfSaturationPerHour: 10
+  },
+
+  affinity: {
+    // Likes and comments older than this are forgotten
+    windowDays: 30,
+    likeWeight: 1,
+    commentWeight: 3,
+    // Points for following the author, on top of interactions
+    followBonus: 2,
+    // Points at which the signal reaches 0.5
+    halfSaturation: 10
+  },
+
+  interests: {
+    // Hashtags you follow, your profile interests and hashtags of posts you
+    // recently liked, each with its weight
+    followedHashtagWeight: 2,
+    profileInterestWeight: 1,
+    likedHashtagWeight: 0.5,
+    // Matched weight at which the signal reaches 0.5
+    halfSaturation: 2
+  },
+
+  // Each further post by the same author is scaled by this, so one busy
+  // account can't fill the feed
+  authorRepeatPenalty: 0.7,
+
+  // How long a ranked feed is kept for paging through (seconds)
+  cacheTtlSeconds: 300
+};
+
+module.exports = FEED_RANKING;
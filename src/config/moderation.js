@@ -0,0 +1,58 @@
+// Automated text moderation settings (see src/utils/textModeration.js).
+//
+// Each rule maps to an action:
+//   'reject' - refuse the request with a 400
+//   'mask'   - replace the offending text and save
+//   'hold'   - save hidden (isActive=false) and queue it for review
+//   null     - rule turned off
+// When several rules match, the strictest action wins (reject > hold > mask).
+
+const TEXT_MODERATION = {
+  rules: {
+    bannedWords: 'mask', // Default for words added without an action
+    spamLinks: 'hold',
+    phoneNumbers: 'mask',
+    repeatedCharacters: 'mask'
+  },
+
+  // Per-context overrides, e.g. service listings legitimately carry contact numbers
+  contexts: {
+    service: { phoneNumbers: null }
+  },
+
+  // More links than this in one text counts as spam
+  maxLinks: 2,
+
+  // Link shorteners and domains that are always treated as spam
+  spamDomains: [
+    'bit.ly',
+    'tinyurl.com',
+    'goo.gl',
+    't.co',
+    'cutt.ly',
+    'shorturl.at',
+    'rb.gy',
+    'is.gd'
+  ],
+
+  // Runs longer than this ("heyyyyyyyy") are cut down to the limit
+  repeatedCharacterLimit: 4,
+
+  // Built-in banned words by locale, on top of the ones managed through
+  // /api/admin/moderation/words. Matching ignores case, common
+  // look-alike characters (@ → a, 0 → o, $ → s) and stretched letters.
+  defaultWords: {
+    en: ['fuck', 'fucker', 'motherfucker', 'shit', 'bitch', 'bastard', 'asshole', 'slut', 'whore', 'cunt'],
+    hi: ['चूतिया', 'मादरचोद', 'बहनचोद', 'भेनचोद', 'गांडू', 'हरामी', 'हरामज़ादा', 'कमीना', 'रंडी', 'भोसड़ी'],
+    hinglish: [
+      'chutiya', 'chutiye', 'madarchod', 'madarchot', 'behenchod', 'bhenchod',
+      'gandu', 'harami', 'haramzada', 'kamina', 'kamine', 'randi', 'bhosdike', 'bhosdi', 'lauda', 'lavda'
+    ]
+  },
+
+  // Banned words that are also given names. Written as a name ("Randi")
+  // they are left alone; any other way ("randi", "RANDI") they still match.
+  nameWords: ['randi']
+};
+
+module.exports = TEXT_MODERATION;
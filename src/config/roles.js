@@ -0,0 +1,54 @@
+// Permissions granted to each role. A user's effective permissions are the
+// union of the permissions of all roles they hold.
+const ROLE_PERMISSIONS = {
+  user: [],
+  advertiser: [
+    'ads:manage' // Create ads and manage their own
+  ],
+  moderator: [
+    'content:moderate', // Hide/restore posts, comments, stories and services
+    'users:suspend' // Suspend accounts and review appeals
+  ],
+  admin: [
+    'ads:manage',
+    'ads:manage_all', // Manage any advertiser's ads
+    'services:feature',
+    'content:moderate',
+    'users:suspend',
+    'moderation:manage', // Banned word lists for the text filter
+    'roles:manage'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Seniority of staff roles. Warnings and suspensions can only be given to
+// accounts whose highest role ranks below the acting user's.
+const ROLE_RANKS = {
+  moderator: 1,
+  admin: 2
+};
+
+const getRoleRank = (roles = ['user']) => {
+  return Math.max(0, ...roles.map(role => ROLE_RANKS[role] || 0));
+};
+
+const outranks = (user, target) => {
+  return getRoleRank(user.roles) > getRoleRank(target.roles);
+};
+
+const getPermissions = (roles = ['user']) => {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+};
+
+const hasPermission = (user, permission) => {
+  return getPermissions(user.roles).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  outranks
+};
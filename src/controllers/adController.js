@@ -1,10 +1,17 @@
 const Advertisement = require('../models/Advertisement');
 const { adCache } = require('../config/cache');
 const { uploadMiddleware } = require('../middleware/upload');
+const { hasPermission } = require('../config/roles');
+
+// Advertisers may only manage their own ads unless allowed to manage all
+const canManageAd = (user, advertisement) => {
+  return hasPermission(user, 'ads:manage_all') ||
+    (advertisement.advertiser && advertisement.advertiser.toString() === user._id.toString());
+};
 
 // @desc    Create new advertisement
 // @route   POST /api/advertisements
-// @access  Private (Admin only in production)
+// @access  Private (Advertiser/Admin)
 const createAdvertisement = [
   uploadMiddleware.single('image'),
   async (req, res) => {
@@ -30,6 +37,7 @@ const createAdvertisement = [
       const imageUrl = `/uploads/advertisements/${req.file.filename}`;
 
       const advertisement = new Advertisement({
+        advertiser: req.user._id,
         title,
         description,
         image: imageUrl,
@@ -185,7 +193,7 @@ const recordClick = async (req, res) => {
 
 // @desc    Update advertisement
 // @route   PUT /api/advertisements/:id
-// @access  Private (Admin only in production)
+// @access  Private (Advertiser/Admin)
 const updateAdvertisement = async (req, res) => {
   try {
     const { id } = req.params;
@@ -202,19 +210,30 @@ const updateAdvertisement = async (req, res) => {
       updateData.schedule = JSON.parse(updateData.schedule);
     }
 
-    const advertisement = await Advertisement.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Ownership can't be reassigned through updates
+    delete updateData.advertiser;
 
-    if (!advertisement) {
+    const existingAd = await Advertisement.findById(id);
+    if (!existingAd) {
       return res.status(404).json({
         success: false,
         message: 'Advertisement not found'
       });
     }
 
+    if (!canManageAd(req.user, existingAd)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own advertisements'
+      });
+    }
+
+    const advertisement = await Advertisement.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
     // Clear cache
     adCache.flushAll();
 
@@ -233,7 +252,7 @@ const updateAdvertisement = async (req, res) => {
 
 // @desc    Delete advertisement
 // @route   DELETE /api/advertisements/:id
-// @access  Private (Admin only in production)
+// @access  Private (Advertiser/Admin)
 const deleteAdvertisement = async (req, res) => {
   try {
     const { id } = req.params;
@@ -246,6 +265,13 @@ const deleteAdvertisement = async (req, res) => {
       });
     }
 
+    if (!canManageAd(req.user, advertisement)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own advertisements'
+      });
+    }
+
     // Soft delete
     advertisement.isActive = false;
     advertisement.status = 'completed';
@@ -268,7 +294,7 @@ const deleteAdvertisement = async (req, res) => {
 
 // @desc    Get advertisement analytics
 // @route   GET /api/advertisements/:id/analytics
-// @access  Private (Admin only in production)
+// @access  Private (Advertiser/Admin)
 const getAdvertisementAnalytics = async (req, res) => {
   try {
     const { id } = req.params;
@@ -281,6 +307,13 @@ const getAdvertisementAnalytics = async (req, res) => {
       });
     }
 
+    if (!canManageAd(req.user, advertisement)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view analytics for your own advertisements'
+      });
+    }
+
     const analytics = {
       id: advertisement._id,
       title: advertisement.title,
@@ -0,0 +1,277 @@
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const { userCache } = require('../config/cache');
+const { ROLES } = require('../config/roles');
+const {
+  CONTENT_TYPES,
+  findContent,
+  getRestoreBlocker,
+  setContentActive,
+  logModerationAction
+} = require('../utils/moderation');
+
+// Content types that moderators can hide/restore (users are suspended instead)
+const MODERATABLE_CONTENT = Object.keys(CONTENT_TYPES).filter(type => type !== 'user');
+
+const clearUserCache = (user) => {
+  userCache.del(`user:${user._id}`);
+  userCache.del(`profile:${user.profileId}`);
+};
+
+// @desc    List users holding a role
+// @route   GET /api/admin/users?role=moderator
+// @access  Private (Admin)
+const getUsersByRole = async (req, res) => {
+  try {
+    const { role } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const users = await User.find({ roles: role })
+      .select('name profileId profileImage isVerified roles')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await User.countDocuments({ roles: role });
+
+    res.status(200).json({
+      success: true,
+      users,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Grant role to user
+// @route   POST /api/admin/users/:profileId/roles
+// @access  Private (Admin)
+const grantRole = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { role } = req.body;
+
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { profileId },
+      { $addToSet: { roles: role } },
+      { new: true }
+    ).select('name profileId roles');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    clearUserCache(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Role '${role}' granted successfully`,
+      user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke role from user
+// @route   DELETE /api/admin/users/:profileId/roles/:role
+// @access  Private (Admin)
+const revokeRole = async (req, res) => {
+  try {
+    const { profileId, role } = req.params;
+
+    if (role === 'user') {
+      return res.status(400).json({
+        success: false,
+        message: "The base 'user' role cannot be revoked"
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (role === 'admin' && profileId === req.user.profileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot revoke your own admin role'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { profileId },
+      { $pull: { roles: role } },
+      { new: true }
+    ).select('name profileId roles');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    clearUserCache(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Role '${role}' revoked successfully`,
+      user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Hide or restore content
+// @route   PUT /api/admin/content/:type/:id
+// @access  Private (Moderator/Admin)
+const moderateContent = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const { action, note } = req.body;
+
+    if (!MODERATABLE_CONTENT.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Content type must be one of: ${MODERATABLE_CONTENT.join(', ')}`
+      });
+    }
+
+    if (!['hide', 'restore'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: "Action must be 'hide' or 'restore'"
+      });
+    }
+
+    const found = await findContent(type, id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    const isActive = action === 'restore';
+
+    const restoreBlocker = isActive && getRestoreBlocker(type, found.content);
+    if (restoreBlocker) {
+      return res.status(400).json({
+        success: false,
+        message: restoreBlocker
+      });
+    }
+
+    await setContentActive(type, found.content, isActive);
+
+    await logModerationAction({
+      moderator: req.user._id,
+      action,
+      targetType: type,
+      target: found.content._id,
+      targetUser: found.ownerId,
+      note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Content ${action === 'hide' ? 'hidden' : 'restored'} successfully`,
+      isActive
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Moderation audit trail (newest first)
+// @route   GET /api/admin/audit-log?moderator=<profileId>&action=hide&targetType=post&target=<id>
+// @access  Private (Moderator/Admin)
+const getAuditLog = async (req, res) => {
+  try {
+    const { moderator, action, targetType, target } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (target) filter.target = target;
+    if (moderator) {
+      const moderatorUser = await User.findOne({ profileId: moderator }).select('_id');
+      filter.moderator = moderatorUser ? moderatorUser._id : null;
+    }
+
+    const entries = await ModerationLog.find(filter)
+      .populate('moderator', 'name profileId profileImage')
+      .populate('targetUser', 'name profileId profileImage')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await ModerationLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      entries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUsersByRole,
+  grantRole,
+  revokeRole,
+  moderateContent,
+  getAuditLog
+};
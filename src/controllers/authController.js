@@ -1,6 +1,10 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Otp = require('../models/Otp');
+const Session = require('../models/Session');
 const { generateToken } = require('../middleware/auth');
 const { userCache } = require('../config/cache');
+const { sendSms } = require('../utils/sms');
 
 // @desc    Send OTP to phone number
 // @route   POST /api/auth/send-otp
@@ -17,28 +21,73 @@ const sendOtp = async (req, res) => {
       });
     }
 
-    // Check if user exists
-    const existingUser = await User.findOne({ phone }).lean();
+    if (!/^\+?[1-9]\d{1,14}$/.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter a valid phone number'
+      });
+    }
 
-    if (existingUser) {
-      // User is already registered
-      return res.status(200).json({
-        success: true,
-        message: 'OTP sent successfully',
-        type: 'login',
-        phone: phone,
-        otp: process.env.DEFAULT_OTP || '123456' // For demo purposes
+    // Upsert so parallel first requests for a phone share one record
+    const otpRecord = await Otp.findOneAndUpdate(
+      { phone },
+      { $setOnInsert: { phone } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Enforce lockout and resend cooldown
+    const retryAfter = otpRecord.getRetryAfter();
+    if (retryAfter > 0) {
+      return res.status(429).json({
+        success: false,
+        message: otpRecord.isLocked()
+          ? 'Too many OTP requests. Please try again later.'
+          : 'Please wait before requesting a new OTP',
+        retryAfter
       });
-    } else {
-      // New user
-      return res.status(200).json({
-        success: true,
-        message: 'OTP sent successfully',
-        type: 'signup',
-        phone: phone,
-        otp: process.env.DEFAULT_OTP || '123456' // For demo purposes
+    }
+
+    const code = otpRecord.issue();
+    if (!code) {
+      // Send limit reached for this window - record is now locked
+      await otpRecord.save();
+      return res.status(429).json({
+        success: false,
+        message: 'Too many OTP requests. Please try again later.',
+        retryAfter: otpRecord.getRetryAfter()
+      });
+    }
+
+    // Saved before sending so the cooldown also holds for requests in flight
+    await otpRecord.save();
+
+    try {
+      const validMinutes = Math.round((otpRecord.expiresAt - otpRecord.lastSentAt) / 60000);
+      await sendSms(phone, `${code} is your LykeChat verification code. It is valid for ${validMinutes} minutes.`);
+    } catch (error) {
+      console.error('SMS delivery error:', error);
+
+      // An undelivered code doesn't use up the cooldown or the send limit
+      otpRecord.undoIssue();
+      await otpRecord.save();
+
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send OTP. Please try again.'
       });
     }
+
+    // Check if user exists
+    const existingUser = await User.findOne({ phone }).select('_id').lean();
+
+    res.status(200).json({
+      success: true,
+      message: 'OTP sent successfully',
+      type: existingUser ? 'login' : 'signup',
+      phone: phone,
+      expiresAt: otpRecord.expiresAt,
+      retryAfter: otpRecord.getRetryAfter()
+    });
   } catch (error) {
     console.error('Send OTP error:', error);
     res.status(500).json({
@@ -56,21 +105,36 @@ const verifyOtpAndAuth = async (req, res) => {
     const { phone, otp, userDetails } = req.body;
 
     // Validate required fields
-    if (!phone || !otp) {
+    if (!phone || !otp || typeof phone !== 'string') {
       return res.status(400).json({
         success: false,
         message: 'Phone number and OTP are required'
       });
     }
 
-    // For demo purposes, we use a fixed OTP
-    const validOTP = process.env.DEFAULT_OTP || '123456';
-
     // Validate OTP
-    if (otp !== validOTP) {
+    const { result, otpRecord } = await Otp.verifyCode(phone, otp);
+
+    if (result === 'expired') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: 'OTP expired or not requested'
+      });
+    }
+
+    if (result === 'locked') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfter: otpRecord.getRetryAfter()
+      });
+    }
+
+    if (result === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP',
+        attemptsRemaining: otpRecord.getAttemptsRemaining()
       });
     }
 
@@ -85,13 +149,15 @@ const verifyOtpAndAuth = async (req, res) => {
       // Clear cache for this user
       userCache.del(`user:${user._id}`);
 
-      const token = generateToken(user._id);
+      const { session, refreshToken } = await Session.createForUser(user._id, req);
+      const token = generateToken(user._id, session._id);
 
       res.status(200).json({
         success: true,
         message: 'Login successful',
         type: 'login',
         token,
+        refreshToken,
         user: {
           _id: user._id,
           name: user.name,
@@ -141,13 +207,15 @@ const verifyOtpAndAuth = async (req, res) => {
         responseType = 'signup_incomplete';
       }
 
-      const token = generateToken(user._id);
+      const { session, refreshToken } = await Session.createForUser(user._id, req);
+      const token = generateToken(user._id, session._id);
 
       res.status(201).json({
         success: true,
         message: 'Registration successful',
         type: responseType, // Indicate if profile completion is needed
         token,
+        refreshToken,
         user: {
           _id: user._id,
           name: user.name,
@@ -192,8 +260,197 @@ const getMe = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    const parsed = token ? Session.parseRefreshToken(token) : null;
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid refresh token is required'
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.'
+      });
+    }
+
+    if (!session.matchesSecret(parsed.secret)) {
+      // A rotated-out token is being replayed - assume it was stolen
+      await session.revoke();
+      userCache.del(`session:${session._id}`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Please log in again.'
+      });
+    }
+
+    // Suspended users keep their sessions so they can appeal
+    const user = await User.findById(session.user).select('isActive suspension').lean();
+    if (!user || (!user.isActive && !user.suspension?.record)) {
+      await session.revoke();
+      userCache.del(`session:${session._id}`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
+
+    const newRefreshToken = await session.rotate(req);
+    if (!newRefreshToken) {
+      // Another refresh with the same token got there first - treat it as reuse
+      await Session.updateOne({ _id: session._id }, { revokedAt: new Date() });
+      userCache.del(`session:${session._id}`);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Please log in again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: generateToken(session.user, session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, user: req.user._id },
+      { revokedAt: new Date() }
+    );
+
+    userCache.del(`session:${req.sessionId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName ip userAgent lastUsedAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = mongoose.Types.ObjectId.isValid(id) && await Session.findOne({ _id: id, user: req.user._id });
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke();
+    userCache.del(`session:${id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const filter = {
+      user: req.user._id,
+      _id: { $ne: req.sessionId },
+      revokedAt: null
+    };
+
+    const sessions = await Session.find(filter).select('_id').lean();
+    await Session.updateMany(filter, { revokedAt: new Date() });
+
+    sessions.forEach(session => userCache.del(`session:${session._id}`));
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      revokedCount: sessions.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   sendOtp,
   verifyOtpAndAuth,
-  getMe
+  getMe,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
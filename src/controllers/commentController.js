@@ -1,6 +1,27 @@
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const User = require('../models/User');
+const Like = require('../models/Like');
+const Hashtag = require('../models/Hashtag');
 const { postCache } = require('../config/cache');
+const {
+  getBlockedUserIds,
+  isBlockedBetween,
+  isAllowedByAudience,
+  canViewShared
+} = require('../utils/privacy');
+const { notify, retractNotification } = require('../utils/notifications');
+const { moderateFields } = require('../utils/textModeration');
+const { holdForReview } = require('../utils/moderation');
+const { extractHashtags } = require('../utils/hashtags');
+const { resolveMentions, syncMentions, removeMentions } = require('../utils/mentions');
+const { getPagination, findPage } = require('../utils/pagination');
+
+// Whether viewer may see the post a comment belongs to
+const canViewCommentPost = async (comment, viewerId) => {
+  const post = await Post.findById(comment.post).select('author visibility isActive').lean();
+  return !!post && post.isActive && canViewShared(post.author, post.visibility, viewerId);
+};
 
 // @desc    Create comment
 // @route   POST /api/comments
@@ -26,9 +47,33 @@ const createComment = async (req, res) => {
       });
     }
 
+    if (await isBlockedBetween(authorId, post.author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot comment on this post'
+      });
+    }
+
+    if (!(await canViewShared(post.author, post.visibility, authorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
+    // Post author's "who can comment" setting
+    const postAuthor = await User.findById(post.author).select('settings.comments').lean();
+    if (!(await isAllowedByAudience(postAuthor?.settings?.comments, post.author, authorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'The author has limited who can comment on this post'
+      });
+    }
+
     // If replying to a comment, check if parent comment exists
+    let parentComment = null;
     if (parentCommentId) {
-      const parentComment = await Comment.findById(parentCommentId);
+      parentComment = await Comment.findById(parentCommentId);
       if (!parentComment || !parentComment.isActive) {
         return res.status(404).json({
           success: false,
@@ -37,23 +82,88 @@ const createComment = async (req, res) => {
       }
     }
 
+    const moderation = await moderateFields({ content }, 'comment');
+    if (moderation.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment goes against our community guidelines',
+        violations: moderation.violations
+      });
+    }
+
+    // Held comments stay hidden until a moderator reviews them
+    const isHeld = moderation.action === 'hold';
+
     const comment = new Comment({
-      content,
+      content: moderation.fields.content,
+      hashtags: extractHashtags(moderation.fields.content),
+      mentions: await resolveMentions(moderation.fields.content, authorId, {
+        visibility: post.visibility,
+        ownerId: post.author
+      }),
       post: postId,
       author: authorId,
-      parentComment: parentCommentId || null
+      parentComment: parentCommentId || null,
+      isActive: !isHeld
     });
 
     await comment.save();
     await comment.populate('author', 'name profileId profileImage isVerified');
 
+    if (isHeld) {
+      await holdForReview('comment', comment, authorId, moderation.violations);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Comment submitted and is under review',
+        underReview: true,
+        comment
+      });
+    }
+
+    await Hashtag.recordUsage(comment.hashtags, 'comment');
+    await syncMentions({
+      mentions: comment.mentions,
+      actor: authorId,
+      targetType: 'comment',
+      target: comment._id,
+      post: post._id,
+      preview: comment.content
+    });
+
     // Clear cache
     postCache.del(`post:${postId}`);
     postCache.del(`comments:${postId}`);
 
+    // Notify the parent comment's author of a reply, and the post author
+    // (unless they were just notified of the reply)
+    if (parentComment) {
+      await notify({
+        recipient: parentComment.author,
+        actor: authorId,
+        type: 'reply',
+        targetType: 'comment',
+        target: parentComment._id,
+        post: post._id,
+        preview: comment.content
+      });
+    }
+    if (!parentComment || parentComment.author.toString() !== post.author.toString()) {
+      await notify({
+        recipient: post.author,
+        actor: authorId,
+        type: 'comment',
+        targetType: 'post',
+        target: post._id,
+        post: post._id,
+        preview: comment.content
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Comment created successfully',
+      underReview: false,
       comment
     });
   } catch (error) {
@@ -65,14 +175,18 @@ const createComment = async (req, res) => {
 };
 
 // @desc    Get post comments
-// @route   GET /api/comments/post/:postId
+// @route   GET /api/comments/post/:postId?cursor=
 // @access  Public
 const getPostComments = async (req, res) => {
   try {
     const { postId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, Comment, { createdAt: -1 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
     const currentUserId = req.user?._id;
 
     // Check if post exists
@@ -84,41 +198,43 @@ const getPostComments = async (req, res) => {
       });
     }
 
+    // Hide the post and comments from users blocked in either direction
+    const blockedIds = await getBlockedUserIds(currentUserId);
+    if (blockedIds.some(id => id.toString() === post.author.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewShared(post.author, post.visibility, currentUserId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
     // Get top-level comments (not replies)
-    const comments = await Comment.find({ 
-      post: postId, 
+    const { items: comments, pagination: pageInfo } = await findPage(Comment, {
+      post: postId,
       parentComment: null,
-      isActive: true 
-    })
-    .populate('author', 'name profileId profileImage isVerified')
-    .populate({
-      path: 'replies',
-      populate: {
-        path: 'author',
-        select: 'name profileId profileImage isVerified'
-      },
-      select: '-likes', // Exclude likes from replies
-      options: { limit: 3 } // Show only first 3 replies
-    })
-    .select('-likes') // Exclude likes array
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .lean();
+      author: { $nin: blockedIds },
+      isActive: true
+    }, pagination, query => query
+      .populate('author', 'name profileId profileImage isVerified')
+      .populate({
+        path: 'replies',
+        match: { author: { $nin: blockedIds }, isActive: true },
+        populate: {
+          path: 'author',
+          select: 'name profileId profileImage isVerified'
+        },
+        perDocumentLimit: 3 // Show only first 3 replies of each comment
+      }));
 
     // Get liked comments in batch for better performance
-    let likedCommentIds = new Set();
-    let likedReplyIds = new Set();
-    
-    if (currentUserId) {
-      const allCommentIds = comments.flatMap(c => [c._id, ...c.replies.map(r => r._id)]);
-      const likedComments = await Comment.find({
-        _id: { $in: allCommentIds },
-        'likes.user': currentUserId
-      }).select('_id').lean();
-      
-      likedCommentIds = new Set(likedComments.map(c => c._id.toString()));
-    }
+    const allCommentIds = comments.flatMap(c => [c._id, ...c.replies.map(r => r._id)]);
+    const likedCommentIds = await Like.getLikedIds('comment', allCommentIds, currentUserId);
     
     const commentsWithLikeStatus = comments.map(comment => ({
       ...comment,
@@ -129,22 +245,10 @@ const getPostComments = async (req, res) => {
       }))
     }));
 
-    const total = await Comment.countDocuments({ 
-      post: postId, 
-      parentComment: null,
-      isActive: true 
-    });
-
     res.status(200).json({
       success: true,
       comments: commentsWithLikeStatus,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     res.status(500).json({
@@ -155,14 +259,19 @@ const getPostComments = async (req, res) => {
 };
 
 // @desc    Get comment replies
-// @route   GET /api/comments/:commentId/replies
+// @route   GET /api/comments/:commentId/replies?cursor=
 // @access  Public
 const getCommentReplies = async (req, res) => {
   try {
     const { commentId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    // Replies sorted chronologically
+    const pagination = getPagination(req.query, Comment, { createdAt: 1 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
     const currentUserId = req.user?._id;
 
     // Check if parent comment exists
@@ -174,40 +283,30 @@ const getCommentReplies = async (req, res) => {
       });
     }
 
-    const replies = await Comment.find({ 
+    if (!(await canViewCommentPost(parentComment, currentUserId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
+    const { items: replies, pagination: pageInfo } = await findPage(Comment, {
       parentComment: commentId,
-      isActive: true 
-    })
-    .populate('author', 'name profileId profileImage isVerified')
-    .sort({ createdAt: 1 }) // Replies sorted chronologically
-    .skip(skip)
-    .limit(limit)
-    .lean();
+      isActive: true
+    }, pagination, query => query.populate('author', 'name profileId profileImage isVerified'));
 
     // Add like status for current user
+    const likedReplyIds = await Like.getLikedIds('comment', replies.map(r => r._id), currentUserId);
+
     const repliesWithLikeStatus = replies.map(reply => ({
       ...reply,
-      isLikedByUser: currentUserId ? 
-        reply.likes.some(like => like.user.toString() === currentUserId.toString()) : 
-        false,
-      likes: undefined // Remove likes array to reduce payload size
+      isLikedByUser: likedReplyIds.has(reply._id.toString())
     }));
 
-    const total = await Comment.countDocuments({ 
-      parentComment: commentId,
-      isActive: true 
-    });
-
     res.status(200).json({
       success: true,
       replies: repliesWithLikeStatus,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     res.status(500).json({
@@ -233,15 +332,33 @@ const toggleCommentLike = async (req, res) => {
       });
     }
 
-    const isLiked = comment.isLikedBy(userId);
+    if (!(await canViewCommentPost(comment, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
+    const isLiked = await Like.isLiked('comment', comment._id, userId);
     let action;
+    let likesCount;
 
     if (isLiked) {
-      await comment.unlike(userId);
+      likesCount = await Like.unlike('comment', comment._id, userId);
       action = 'unliked';
+      await retractNotification({ recipient: comment.author, actor: userId, type: 'comment_like', target: comment._id });
     } else {
-      await comment.like(userId);
+      likesCount = await Like.like('comment', comment._id, userId);
       action = 'liked';
+      await notify({
+        recipient: comment.author,
+        actor: userId,
+        type: 'comment_like',
+        targetType: 'comment',
+        target: comment._id,
+        post: comment.post,
+        preview: comment.content
+      });
     }
 
     // Clear cache
@@ -251,7 +368,7 @@ const toggleCommentLike = async (req, res) => {
       success: true,
       message: `Comment ${action} successfully`,
       isLiked: !isLiked,
-      likesCount: comment.likesCount
+      likesCount: likesCount ?? comment.likesCount // null if a concurrent request already applied it
     });
   } catch (error) {
     res.status(500).json({
@@ -285,10 +402,18 @@ const deleteComment = async (req, res) => {
       });
     }
 
+    const wasActive = comment.isActive;
+
     // Soft delete
     comment.isActive = false;
+    comment.deletedAt = new Date();
     await comment.save();
 
+    if (wasActive) {
+      await Hashtag.recordUsage(comment.hashtags, 'comment', -1);
+    }
+    await removeMentions('comment', comment._id);
+
     // Clear cache
     postCache.del(`comments:${comment.post}`);
 
@@ -336,16 +461,57 @@ const updateComment = async (req, res) => {
       });
     }
 
-    comment.content = content;
+    const moderation = await moderateFields({ content }, 'comment');
+    if (moderation.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment goes against our community guidelines',
+        violations: moderation.violations
+      });
+    }
+
+    // A held edit hides the comment until a moderator reviews it
+    const isHeld = moderation.action === 'hold';
+
+    // Count hashtags the edit added or removed
+    const previousHashtags = comment.isActive ? [...comment.hashtags] : [];
+    const hashtags = isHeld ? [] : extractHashtags(moderation.fields.content);
+
+    comment.content = moderation.fields.content;
+    comment.hashtags = extractHashtags(moderation.fields.content);
+    const post = await Post.findById(comment.post).select('author visibility').lean();
+    comment.mentions = await resolveMentions(moderation.fields.content, userId, {
+      visibility: post?.visibility,
+      ownerId: post?.author
+    });
+    comment.isActive = !isHeld;
     await comment.save();
+
+    // Newly mentioned users are notified; a held edit drops its mentions until reviewed
+    await syncMentions({
+      mentions: isHeld ? [] : comment.mentions,
+      actor: userId,
+      targetType: 'comment',
+      target: comment._id,
+      post: comment.post,
+      preview: comment.content
+    });
+
+    await Hashtag.recordUsage(hashtags.filter(name => !previousHashtags.includes(name)), 'comment');
+    await Hashtag.recordUsage(previousHashtags.filter(name => !hashtags.includes(name)), 'comment', -1);
     await comment.populate('author', 'name profileId profileImage isVerified');
 
+    if (isHeld) {
+      await holdForReview('comment', comment, userId, moderation.violations);
+    }
+
     // Clear cache
     postCache.del(`comments:${comment.post}`);
 
     res.status(200).json({
       success: true,
-      message: 'Comment updated successfully',
+      message: isHeld ? 'Comment updated and is under review' : 'Comment updated successfully',
+      underReview: isHeld,
       comment
     });
   } catch (error) {
@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { MESSAGE_MEDIA_DIR, uploadMiddleware } = require('../middleware/upload');
+const { isBlockedBetween, isAllowedByAudience } = require('../utils/privacy');
+const { emitToUsers } = require('../realtime/gateway');
+
+const PARTICIPANT_FIELDS = 'name profileId profileImage isVerified isActive lastSeen settings.showActivityStatus';
+
+// Load a conversation the current user takes part in
+const findUserConversation = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return null;
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.hasParticipant(userId)) {
+    return null;
+  }
+
+  return conversation;
+};
+
+// Whether userId may message `other` (with `settings.messages`), in
+// conversationId if they already share one
+const canMessageUser = async (other, userId, conversationId = null) => {
+  if (await isBlockedBetween(userId, other._id)) {
+    return false;
+  }
+
+  // "Who can message me" - a restricted inbox still accepts replies once its owner has written
+  if (await isAllowedByAudience(other.settings?.messages, other._id, userId)) {
+    return true;
+  }
+
+  return !!conversationId && !!(await Message.exists({ conversation: conversationId, sender: other._id }));
+};
+
+// Whether userId may message every other participant
+const canMessageParticipants = async (conversation, userId) => {
+  const otherIds = conversation.getOtherParticipantIds(userId);
+
+  const others = await User.find({ _id: { $in: otherIds }, isActive: true }).select('settings.messages').lean();
+  if (others.length !== otherIds.length) {
+    return false;
+  }
+
+  for (const other of others) {
+    if (!(await canMessageUser(other, userId, conversation._id))) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Participant profile, with last seen hidden if they turned off activity status
+const formatParticipant = (user) => {
+  const { settings, ...participant } = user.toObject ? user.toObject() : user;
+  if (settings && settings.showActivityStatus === false) {
+    delete participant.lastSeen;
+  }
+  return participant;
+};
+
+// Shape a conversation for the current user
+const formatConversation = (conversation, userId) => {
+  const me = conversation.participants.find(p => p.user && p.user._id.toString() === userId.toString());
+
+  return {
+    _id: conversation._id,
+    participants: conversation.participants
+      .filter(p => p.user && p.user._id.toString() !== userId.toString())
+      .map(p => formatParticipant(p.user)),
+    lastMessage: conversation.lastMessage,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: me ? me.unreadCount : 0,
+    createdAt: conversation.createdAt
+  };
+};
+
+// @desc    Start (or get) a 1:1 conversation
+// @route   POST /api/conversations
+// @access  Private
+const startConversation = async (req, res) => {
+  try {
+    const { profileId } = req.body;
+    const currentUserId = req.user._id;
+
+    if (!profileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Profile ID is required'
+      });
+    }
+
+    if (profileId === req.user.profileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot message yourself'
+      });
+    }
+
+    const recipient = await User.findOne({ profileId, isActive: true }).select('_id settings.messages').lean();
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await isBlockedBetween(currentUserId, recipient._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot message this user'
+      });
+    }
+
+    // Check before creating, so a refused attempt leaves nothing behind
+    const existing = await Conversation.findOne({
+      participantKey: Conversation.getParticipantKey([currentUserId, recipient._id])
+    }).select('_id').lean();
+
+    if (!(await canMessageUser(recipient, currentUserId, existing?._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user only accepts messages from some people'
+      });
+    }
+
+    const conversation = await Conversation.findOrCreateDirect(currentUserId, recipient._id);
+
+    await conversation.populate('participants.user', PARTICIPANT_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      conversation: formatConversation(conversation, currentUserId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get current user's conversations
+// @route   GET /api/conversations
+// @access  Private
+const getConversations = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Conversations only show up once a message has been sent
+    const filter = { 'participants.user': currentUserId, 'lastMessage._id': { $exists: true } };
+
+    const conversations = await Conversation.find(filter)
+      .populate('participants.user', PARTICIPANT_FIELDS)
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Conversation.countDocuments(filter);
+
+    // Total unread messages across all conversations
+    const [unread] = await Conversation.aggregate([
+      { $match: { 'participants.user': currentUserId } },
+      { $unwind: '$participants' },
+      { $match: { 'participants.user': currentUserId } },
+      { $group: { _id: null, total: { $sum: '$participants.unreadCount' } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      conversations: conversations.map(conversation => formatConversation(conversation, currentUserId)),
+      unreadTotal: unread ? unread.total : 0,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get conversation messages (newest first)
+// @route   GET /api/conversations/:id/messages?before=<messageId>
+// @access  Private
+const getMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const currentUserId = req.user._id;
+
+    const conversation = await findUserConversation(id, currentUserId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const filter = { conversation: conversation._id, isActive: true };
+    if (before && mongoose.Types.ObjectId.isValid(before)) {
+      filter._id = { $lt: before };
+    }
+
+    const messages = await Message.find(filter)
+      .populate('sender', 'name profileId profileImage isVerified')
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      messages: page,
+      pagination: {
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+        hasMore
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send message (text and/or media)
+// @route   POST /api/conversations/:id/messages
+// @access  Private
+const sendMessage = [
+  uploadMiddleware.multiple('media', 10),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { text } = req.body;
+      const currentUserId = req.user._id;
+
+      const hasMedia = req.files && req.files.length > 0;
+      if (!hasMedia && (!text || !text.trim())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message text or media is required'
+        });
+      }
+
+      const conversation = await findUserConversation(id, currentUserId);
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation not found'
+        });
+      }
+
+      if (!(await canMessageParticipants(conversation, currentUserId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot message this user'
+        });
+      }
+
+      // Process uploaded files
+      const media = hasMedia ? req.files.map(file => {
+        const isVideo = file.mimetype.startsWith('video/');
+        return {
+          type: isVideo ? 'video' : 'image',
+          url: `/api/conversations/${conversation._id}/media/${file.filename}`,
+          thumbnail: isVideo ? `/api/conversations/${conversation._id}/media/thumb_${file.filename}` : undefined
+        };
+      }) : [];
+
+      const message = await Message.sendToConversation(conversation, currentUserId, {
+        type: media.length > 0 ? media[0].type : 'text',
+        text,
+        media
+      });
+
+      await message.populate('sender', 'name profileId profileImage isVerified');
+
+      emitToUsers(conversation.getOtherParticipantIds(currentUserId), 'message:new', {
+        conversationId: conversation._id,
+        message
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: message
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+];
+
+// @desc    Mark conversation as read
+// @route   POST /api/conversations/:id/read
+// @access  Private
+const markConversationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const currentUserId = req.user._id;
+    const now = new Date();
+
+    const conversation = await findUserConversation(id, currentUserId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const { modifiedCount } = await Message.updateMany(
+      { conversation: conversation._id, 'readBy.user': { $ne: currentUserId } },
+      { $push: { readBy: { user: currentUserId, readAt: now } } }
+    );
+
+    await Conversation.updateOne(
+      { _id: conversation._id, 'participants.user': currentUserId },
+      { $set: { 'participants.$.unreadCount': 0, 'participants.$.lastReadAt': now } }
+    );
+
+    // Read receipt for the other participants
+    if (modifiedCount > 0) {
+      emitToUsers(conversation.getOtherParticipantIds(currentUserId), 'message:read', {
+        conversationId: conversation._id,
+        userId: currentUserId,
+        readAt: now
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      readCount: modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a media file sent in a conversation
+// @route   GET /api/conversations/:id/media/:filename
+// @access  Private (participants only)
+const getMessageMedia = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const filename = path.basename(req.params.filename);
+
+    const conversation = await findUserConversation(id, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    // Only files sent in this conversation
+    const url = `/api/conversations/${conversation._id}/media/${filename}`;
+    const isSent = await Message.exists({
+      conversation: conversation._id,
+      isActive: true,
+      $or: [{ 'media.url': url }, { 'media.thumbnail': url }]
+    });
+    if (!isSent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(path.resolve(MESSAGE_MEDIA_DIR, filename), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Media not found'
+        });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+  getMessageMedia
+};
@@ -0,0 +1,286 @@
+const Hashtag = require('../models/Hashtag');
+const HashtagStat = require('../models/HashtagStat');
+const HashtagFollow = require('../models/HashtagFollow');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const { postCache, cacheUtils } = require('../config/cache');
+const { getBlockedUserIds, getMutedUserIds, withoutPrivateAuthors } = require('../utils/privacy');
+const { normalizeHashtag } = require('../utils/hashtags');
+
+const HASHTAG_FIELDS = 'name postsCount commentsCount followersCount lastUsedAt';
+const POST_TABS = {
+  top: { likesCount: -1, commentsCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 }
+};
+const MAX_TRENDING_HOURS = 7 * 24;
+
+// @desc    Trending hashtags by uses in the last `hours` (default 24)
+// @route   GET /api/hashtags/trending?hours=24&limit=20
+// @access  Public
+const getTrendingHashtags = async (req, res) => {
+  try {
+    const hours = Math.min(parseInt(req.query.hours) || 24, MAX_TRENDING_HOURS);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    // Check cache first
+    const cacheKey = `trending_hashtags:${hours}:${limit}`;
+    const cachedTrending = postCache.get(cacheKey);
+
+    if (cachedTrending) {
+      return res.status(200).json(cachedTrending);
+    }
+
+    const now = Date.now();
+    const since = new Date(now - hours * 60 * 60 * 1000);
+    const previousSince = new Date(now - 2 * hours * 60 * 60 * 1000);
+
+    const trending = await HashtagStat.aggregate([
+      { $match: { bucket: { $gte: since } } },
+      { $group: { _id: '$hashtag', uses: { $sum: '$count' } } },
+      { $sort: { uses: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const names = trending.map(item => item._id);
+
+    // Uses in the window before, to show how fast each tag is growing
+    const previous = await HashtagStat.aggregate([
+      { $match: { hashtag: { $in: names }, bucket: { $gte: previousSince, $lt: since } } },
+      { $group: { _id: '$hashtag', uses: { $sum: '$count' } } }
+    ]);
+    const previousUses = new Map(previous.map(item => [item._id, item.uses]));
+
+    const hashtags = await Hashtag.find({ name: { $in: names } }).select(HASHTAG_FIELDS).lean();
+    const hashtagsByName = new Map(hashtags.map(hashtag => [hashtag.name, hashtag]));
+
+    const result = {
+      success: true,
+      hours,
+      hashtags: trending.map(({ _id: name, uses }) => ({
+        ...hashtagsByName.get(name),
+        name,
+        uses,
+        previousUses: previousUses.get(name) || 0
+      }))
+    };
+
+    // Cache for 15 minutes
+    postCache.set(cacheKey, result, 900);
+
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Hashtags you follow
+// @route   GET /api/hashtags/following
+// @access  Private
+const getFollowedHashtags = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const follows = await HashtagFollow.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const hashtags = await Hashtag.find({ name: { $in: follows.map(follow => follow.hashtag) } })
+      .select(HASHTAG_FIELDS)
+      .lean();
+    const hashtagsByName = new Map(hashtags.map(hashtag => [hashtag.name, hashtag]));
+
+    const total = await HashtagFollow.countDocuments({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      hashtags: follows.map(follow => ({
+        ...hashtagsByName.get(follow.hashtag),
+        name: follow.hashtag,
+        followedAt: follow.createdAt
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get hashtag
+// @route   GET /api/hashtags/:tag
+// @access  Public
+const getHashtag = async (req, res) => {
+  try {
+    const name = normalizeHashtag(req.params.tag);
+
+    const hashtag = name && await Hashtag.findOne({ name }).select(HASHTAG_FIELDS).lean();
+    if (!hashtag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hashtag not found'
+      });
+    }
+
+    const isFollowing = req.user
+      ? !!(await HashtagFollow.exists({ user: req.user._id, hashtag: name }))
+      : false;
+
+    res.status(200).json({
+      success: true,
+      hashtag: {
+        ...hashtag,
+        isFollowing
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Public posts with a hashtag
+// @route   GET /api/hashtags/:tag/posts?tab=top|recent
+// @access  Public
+const getHashtagPosts = async (req, res) => {
+  try {
+    const name = normalizeHashtag(req.params.tag);
+    const { tab = 'top' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const currentUserId = req.user?._id;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hashtag'
+      });
+    }
+
+    if (!POST_TABS[tab]) {
+      return res.status(400).json({
+        success: false,
+        message: `Tab must be one of: ${Object.keys(POST_TABS).join(', ')}`
+      });
+    }
+
+    const filter = {
+      hashtags: name,
+      visibility: 'public',
+      isActive: true
+    };
+
+    // Hide posts from blocked and muted users
+    if (currentUserId) {
+      filter.author = {
+        $nin: [
+          ...await getBlockedUserIds(currentUserId),
+          ...await getMutedUserIds(currentUserId)
+        ]
+      };
+    }
+
+    const pagePosts = await Post.find(filter)
+      .populate('author', 'name profileId profileImage isVerified isPrivate')
+      .sort(POST_TABS[tab])
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    // Posts by private accounts only reach their followers
+    const posts = await withoutPrivateAuthors(pagePosts, currentUserId);
+
+    const likedPostIds = currentUserId
+      ? await Like.getLikedIds('post', posts.map(p => p._id), currentUserId)
+      : new Set();
+
+    const total = await Post.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      hashtag: name,
+      tab,
+      posts: posts.map(post => ({
+        ...post,
+        isLikedByUser: likedPostIds.has(post._id.toString())
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Follow/unfollow hashtag
+// @route   POST /api/hashtags/:tag/follow
+// @access  Private
+const toggleHashtagFollow = async (req, res) => {
+  try {
+    const name = normalizeHashtag(req.params.tag);
+    const currentUserId = req.user._id;
+
+    const hashtag = name && await Hashtag.exists({ name });
+    if (!hashtag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hashtag not found'
+      });
+    }
+
+    const isFollowing = !!(await HashtagFollow.exists({ user: currentUserId, hashtag: name }));
+
+    if (isFollowing) {
+      await HashtagFollow.unfollow(currentUserId, name);
+    } else {
+      await HashtagFollow.follow(currentUserId, name);
+    }
+
+    // Followed hashtags feed into the home feed
+    cacheUtils.delByPrefix(postCache, `feed:${currentUserId}:`);
+
+    res.status(200).json({
+      success: true,
+      message: isFollowing ? 'Hashtag unfollowed successfully' : 'Hashtag followed successfully',
+      isFollowing: !isFollowing
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTrendingHashtags,
+  getFollowedHashtags,
+  getHashtag,
+  getHashtagPosts,
+  toggleHashtagFollow
+};
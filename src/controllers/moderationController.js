@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const BannedWord = require('../models/BannedWord');
+const TEXT_MODERATION = require('../config/moderation');
+const { moderateText, clearBannedWordsCache } = require('../utils/textModeration');
+
+const LOCALES = BannedWord.schema.path('locale').enumValues;
+const WORD_ACTIONS = BannedWord.schema.path('action').enumValues;
+const MAX_WORDS_PER_REQUEST = 100;
+
+// @desc    List admin-managed banned words
+// @route   GET /api/admin/moderation/words?locale=hi&search=kam
+// @access  Private (Admin)
+const getBannedWords = async (req, res) => {
+  try {
+    const { locale, search } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (locale) filter.locale = locale;
+    if (search) filter.word = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const words = await BannedWord.find(filter)
+      .populate('createdBy', 'name profileId')
+      .sort({ locale: 1, word: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await BannedWord.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      words,
+      // Built-in words always apply on top of the managed list
+      defaultWords: locale ? { [locale]: TEXT_MODERATION.defaultWords[locale] || [] } : TEXT_MODERATION.defaultWords,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add banned words (or change the action of existing ones)
+// @route   POST /api/admin/moderation/words
+// @access  Private (Admin)
+const addBannedWords = async (req, res) => {
+  try {
+    const { locale = 'en', action = 'mask' } = req.body;
+    const words = [].concat(req.body.words || req.body.word || [])
+      .map(word => String(word).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (words.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one word is required'
+      });
+    }
+
+    if (words.length > MAX_WORDS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `You can add up to ${MAX_WORDS_PER_REQUEST} words at a time`
+      });
+    }
+
+    if (!LOCALES.includes(locale)) {
+      return res.status(400).json({
+        success: false,
+        message: `Locale must be one of: ${LOCALES.join(', ')}`
+      });
+    }
+
+    if (!WORD_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${WORD_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (words.some(word => word.length > 50)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Words cannot exceed 50 characters'
+      });
+    }
+
+    const uniqueWords = [...new Set(words)];
+    const result = await BannedWord.bulkWrite(uniqueWords.map(word => ({
+      updateOne: {
+        filter: { word, locale },
+        update: {
+          $set: { action },
+          $setOnInsert: { createdBy: req.user._id }
+        },
+        upsert: true
+      }
+    })));
+
+    clearBannedWordsCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Banned words saved successfully',
+      added: result.upsertedCount,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a banned word
+// @route   DELETE /api/admin/moderation/words/:id
+// @access  Private (Admin)
+const deleteBannedWord = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const word = mongoose.Types.ObjectId.isValid(id) && await BannedWord.findByIdAndDelete(id);
+    if (!word) {
+      return res.status(404).json({
+        success: false,
+        message: 'Banned word not found'
+      });
+    }
+
+    clearBannedWordsCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Banned word removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Dry-run text through the moderation filter
+// @route   POST /api/admin/moderation/check
+// @access  Private (Admin)
+const checkText = async (req, res) => {
+  try {
+    const { text, context = 'post' } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text is required'
+      });
+    }
+
+    const moderation = await moderateText(text, context);
+
+    res.status(200).json({
+      success: true,
+      ...moderation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBannedWords,
+  addBannedWords,
+  deleteBannedWord,
+  checkText
+};
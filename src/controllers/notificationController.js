@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { userCache } = require('../config/cache');
+const { ACTOR_FIELDS } = require('../utils/notifications');
+const { buildNotificationPreferenceUpdates } = require('../utils/settings');
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications?unread=true
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: currentUserId };
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+
+    const notifications = await Notification.find(filter)
+      .populate('actors', ACTOR_FIELDS)
+      .sort({ lastActivityAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ recipient: currentUserId, isRead: false });
+
+    res.status(200).json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+    res.status(200).json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, recipient: req.user._id },
+      { $set: { isRead: true, readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      readCount: modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Register push token for the current session's device
+// @route   POST /api/notifications/devices
+// @access  Private
+const registerDevice = async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token || !['fcm', 'apns'].includes(platform)) {
+      return res.status(400).json({
+        success: false,
+        message: "Token and platform ('fcm' or 'apns') are required"
+      });
+    }
+
+    // A token belongs to one device - drop it from any other session first
+    await Session.updateMany(
+      { pushToken: token, _id: { $ne: req.sessionId } },
+      { $set: { pushToken: null, pushPlatform: null } }
+    );
+
+    await Session.updateOne(
+      { _id: req.sessionId },
+      { $set: { pushToken: token, pushPlatform: platform, pushTokenUpdatedAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered for push notifications'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unregister push token for the current session's device
+// @route   DELETE /api/notifications/devices
+// @access  Private
+const unregisterDevice = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId },
+      { $set: { pushToken: null, pushPlatform: null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered from push notifications'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+const updatePreferences = async (req, res) => {
+  try {
+    const { updates, error } = buildNotificationPreferenceUpdates(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    // Clear cache
+    userCache.del(`user:${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  registerDevice,
+  unregisterDevice,
+  getPreferences,
+  updatePreferences
+};
@@ -1,16 +1,41 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const User = require('../models/User');
-const { postCache } = require('../config/cache');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const Save = require('../models/Save');
+const Hashtag = require('../models/Hashtag');
+const HashtagFollow = require('../models/HashtagFollow');
+const { postCache, rankingCache, cacheUtils } = require('../config/cache');
+const FEED_RANKING = require('../config/feedRanking');
 const { uploadMiddleware } = require('../middleware/upload');
+const {
+  getBlockedUserIds,
+  getMutedUserIds,
+  canViewContent,
+  isAllowedByVisibility,
+  canViewShared,
+  withoutPrivateAuthors,
+  getPostVisibilityFilter
+} = require('../utils/privacy');
+const { notify, retractNotification } = require('../utils/notifications');
+const { moderateFields } = require('../utils/textModeration');
+const { holdForReview } = require('../utils/moderation');
+const { getPostHashtags } = require('../utils/hashtags');
+const { resolveMentions, syncMentions, removeMentions } = require('../utils/mentions');
+const { parseScheduledAt, publishPost } = require('../utils/scheduledPosts');
+const { buildRankingContext, rankPosts } = require('../utils/feedRanking');
+const { getPagination, findPage, slicePage } = require('../utils/pagination');
 
-// @desc    Create new post
+// @desc    Create new post, or save it as a draft (status=draft) or
+//          scheduled post (scheduledAt=<date>)
 // @route   POST /api/posts
 // @access  Private
 const createPost = [
   uploadMiddleware.multiple('media'),
   async (req, res) => {
     try {
-      const { caption, tags, location, visibility, commentsEnabled } = req.body;
+      const { caption, tags, location, visibility, commentsEnabled, status, scheduledAt } = req.body;
       const authorId = req.user._id;
 
       if (!req.files || req.files.length === 0) {
@@ -20,6 +45,33 @@ const createPost = [
         });
       }
 
+      let schedule = null;
+      if (scheduledAt) {
+        schedule = parseScheduledAt(scheduledAt);
+        if (schedule.error) {
+          return res.status(400).json({
+            success: false,
+            message: schedule.error
+          });
+        }
+      }
+
+      const postStatus = schedule ? 'scheduled' : status === 'draft' ? 'draft' : 'published';
+      const isPublished = postStatus === 'published';
+
+      const moderation = await moderateFields({ caption }, 'post');
+      if (moderation.action === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Caption goes against our community guidelines',
+          violations: moderation.violations
+        });
+      }
+
+      // Held posts stay hidden until a moderator reviews them. Drafts and
+      // scheduled posts are moderated again when they are published.
+      const isHeld = isPublished && moderation.action === 'hold';
+
       // Process uploaded files
       const media = req.files.map(file => {
         const isVideo = file.mimetype.startsWith('video/');
@@ -30,20 +82,50 @@ const createPost = [
         };
       });
 
+      const postTags = tags ? tags.split(',').map(tag => tag.trim()) : [];
+
       const post = new Post({
         author: authorId,
-        caption,
+        caption: moderation.fields.caption,
         media,
-        tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+        tags: postTags,
+        hashtags: getPostHashtags(moderation.fields.caption, postTags),
+        mentions: await resolveMentions(moderation.fields.caption, authorId, { visibility: visibility || 'public' }),
         location: location ? JSON.parse(location) : undefined,
         visibility: visibility || 'public', // Default to public if not provided
-        commentsEnabled: commentsEnabled !== undefined ? JSON.parse(commentsEnabled) : true // Default to true if not provided
+        commentsEnabled: commentsEnabled !== undefined ? JSON.parse(commentsEnabled) : true, // Default to true if not provided
+        isActive: isPublished && !isHeld,
+        status: postStatus,
+        scheduledAt: schedule ? schedule.scheduledAt : null
       });
 
       await post.save();
 
-      // Update user's posts count
-      await User.findByIdAndUpdate(authorId, { $inc: { postsCount: 1 } });
+      if (!isPublished) {
+        await post.populate('author', 'name profileId profileImage isVerified');
+
+        return res.status(201).json({
+          success: true,
+          message: schedule ? 'Post scheduled successfully' : 'Draft saved successfully',
+          post
+        });
+      }
+
+      if (isHeld) {
+        await holdForReview('post', post, authorId, moderation.violations);
+      } else {
+        // Update user's posts count
+        await User.findByIdAndUpdate(authorId, { $inc: { postsCount: 1 } });
+        await Hashtag.recordUsage(post.hashtags, 'post');
+        await syncMentions({
+          mentions: post.mentions,
+          actor: authorId,
+          targetType: 'post',
+          target: post._id,
+          post: post._id,
+          preview: post.caption
+        });
+      }
 
       // Populate author info
       await post.populate('author', 'name profileId profileImage isVerified');
@@ -53,7 +135,8 @@ const createPost = [
 
       res.status(201).json({
         success: true,
-        message: 'Post created successfully',
+        message: isHeld ? 'Post submitted and is under review' : 'Post created successfully',
+        underReview: isHeld,
         post
       });
     } catch (error) {
@@ -65,18 +148,35 @@ const createPost = [
   }
 ];
 
-// @desc    Get home feed
-// @route   GET /api/posts/feed
+// Add the viewer's like and save status to feed posts
+const withViewerStatus = async (posts, userId) => {
+  const likedPostIds = await Like.getLikedIds('post', posts.map(p => p._id), userId);
+  const savedPostIds = await Save.getSavedIds(posts.map(p => p._id), userId);
+
+  return posts.map(post => ({
+    ...post,
+    isLikedByUser: likedPostIds.has(post._id.toString()),
+    isSavedByUser: savedPostIds.has(post._id.toString())
+  }));
+};
+
+// @desc    Get home feed (Following: posts by people you follow and yourself,
+//          and public posts with hashtags you follow, newest first)
+// @route   GET /api/posts/feed?cursor=
 // @access  Private
 const getHomeFeed = async (req, res) => {
   try {
     const currentUserId = req.user._id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, Post, { createdAt: -1 }, { defaultLimit: 10 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
     // Check cache first
-    const cacheKey = `feed:${currentUserId}:${page}:${limit}`;
+    const cacheKey = `feed:${currentUserId}:${pagination.page || req.query.cursor}:${pagination.limit}`;
     let cachedFeed = postCache.get(cacheKey);
 
     if (cachedFeed) {
@@ -84,49 +184,130 @@ const getHomeFeed = async (req, res) => {
     }
 
     // Get current user's following list
-    const currentUser = await User.findById(currentUserId).select('following');
-    const followingIds = [...currentUser.following, currentUserId]; // Include own posts
+    const followingIds = [...await Follow.getFollowingIds(currentUserId), currentUserId]; // Include own posts
+    const followingIdSet = new Set(followingIds.map(id => id.toString()));
+    const followedHashtags = await HashtagFollow.getFollowedNames(currentUserId);
+
+    // Hide posts from blocked and muted users
+    const hiddenAuthorIds = [
+      ...await getBlockedUserIds(currentUserId),
+      ...await getMutedUserIds(currentUserId)
+    ];
 
-    // Get posts from followed users and public posts
-    const posts = await Post.find({
+    // Followed authors' posts the user may see (public and followers-only
+    // posts, close friends posts of those who listed them, and their own),
+    // plus public posts with a followed hashtag from anyone else
+    const { items: posts, pagination: pageInfo } = await findPage(Post, {
+      author: { $nin: hiddenAuthorIds },
       $or: [
-        { author: { $in: followingIds } }, // Posts from followed users or self
-        { visibility: 'public' } // Public posts
+        { author: { $in: followingIds }, $or: await getPostVisibilityFilter(currentUserId) },
+        { hashtags: { $in: followedHashtags }, visibility: 'public' }
       ],
       isActive: true
-    })
-      .populate('author', 'name profileId profileImage isVerified')
-      .select('-likes') // Exclude likes array to reduce payload
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    }, pagination, query => query.populate('author', 'name profileId profileImage isVerified isPrivate isActive'), { count: false });
 
-    // Add like status for current user
-    // Get user's liked posts in a single query
-    const likedPosts = await Post.find({
-      _id: { $in: posts.map(p => p._id) },
-      'likes.user': currentUserId
-    }).select('_id').lean();
+    // Posts by private accounts only reach their followers
+    const visiblePosts = posts
+      .filter(post => followingIdSet.has(post.author._id.toString()) || (post.author.isActive && !post.author.isPrivate))
+      .map(({ author: { isPrivate, isActive, ...author }, ...post }) => ({
+        ...post,
+        author,
+        // Followed hashtags that brought in a post from someone you don't follow
+        followedHashtags: followingIdSet.has(author._id.toString())
+          ? []
+          : (post.hashtags || []).filter(name => followedHashtags.includes(name))
+      }));
 
-    const likedPostIds = new Set(likedPosts.map(p => p._id.toString()));
+    const result = {
+      success: true,
+      posts: await withViewerStatus(visiblePosts, currentUserId),
+      pagination: pageInfo
+    };
 
-    const postsWithLikeStatus = posts.map(post => ({
-      ...post,
-      isLikedByUser: likedPostIds.has(post._id.toString())
-    }));
+    // Cache the result for 5 minutes
+    postCache.set(cacheKey, result, 300);
 
-    const total = await Post.countDocuments({
-      $or: [
-        { author: { $in: followingIds } },
-        { visibility: 'public' }
-      ],
-      isActive: true
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+};
 
-    const result = {
+// @desc    Get For You feed (recent posts ranked for you, see config/feedRanking)
+// @route   GET /api/posts/feed/for-you
+// @access  Private
+const getForYouFeed = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // The ranked list is cached so pages stay consistent while scrolling
+    const cacheKey = `feed:${currentUserId}:for_you`;
+    let ranked = postCache.get(cacheKey);
+
+    if (!ranked) {
+      const followingIds = await Follow.getFollowingIds(currentUserId);
+      const followingIdSet = new Set(followingIds.map(id => id.toString()));
+
+      // Hide posts from blocked and muted users (and your own)
+      const hiddenAuthorIds = [
+        ...await getBlockedUserIds(currentUserId),
+        ...await getMutedUserIds(currentUserId),
+        currentUserId
+      ];
+
+      const candidates = await Post.find({
+        author: { $nin: hiddenAuthorIds },
+        $or: await getPostVisibilityFilter(currentUserId),
+        isActive: true,
+        createdAt: { $gte: new Date(Date.now() - FEED_RANKING.candidateWindowHours * 60 * 60 * 1000) }
+      })
+        .select('author hashtags likesCount commentsCount sharesCount createdAt')
+        .populate('author', 'isPrivate isActive')
+        .sort({ createdAt: -1 })
+        .limit(FEED_RANKING.candidateLimit)
+        .lean();
+
+      // Posts by private accounts only reach their followers
+      const visibleCandidates = candidates.filter(post => (
+        post.author && post.author.isActive &&
+        (!post.author.isPrivate || followingIdSet.has(post.author._id.toString()))
+      ));
+
+      const context = await buildRankingContext(currentUserId, followingIds);
+      ranked = {
+        postIds: rankPosts(visibleCandidates, context).map(post => post._id.toString()),
+        followedHashtags: context.followedHashtags
+      };
+
+      postCache.set(cacheKey, ranked, FEED_RANKING.cacheTtlSeconds);
+    }
+
+    const pageIds = ranked.postIds.slice(skip, skip + limit);
+    const pagePosts = await Post.find({ _id: { $in: pageIds }, isActive: true })
+      .populate('author', 'name profileId profileImage isVerified')
+      .lean();
+    const postsById = new Map(pagePosts.map(post => [post._id.toString(), post]));
+
+    const posts = await withViewerStatus(
+      pageIds.filter(id => postsById.has(id)).map(id => postsById.get(id)),
+      currentUserId
+    );
+
+    const total = ranked.postIds.length;
+
+    res.status(200).json({
       success: true,
-      posts: postsWithLikeStatus,
+      posts: posts.map(post => ({
+        ...post,
+        // Followed hashtags the post carries
+        followedHashtags: (post.hashtags || []).filter(name => ranked.followedHashtags.includes(name))
+      })),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -134,12 +315,7 @@ const getHomeFeed = async (req, res) => {
         hasNext: page < Math.ceil(total / limit),
         hasPrev: page > 1
       }
-    };
-
-    // Cache the result for 5 minutes
-    postCache.set(cacheKey, result, 300);
-
-    res.status(200).json(result);
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -163,43 +339,44 @@ const getPost = async (req, res) => {
     if (!post) {
       post = await Post.findById(id)
         .populate('author', 'name profileId profileImage isVerified')
-        .select('-likes') // Exclude likes array
         .lean();
 
-      if (!post || !post.isActive) {
+      // Archived posts stay visible to their author
+      const isOwnArchivedPost = post && post.isArchived && currentUserId &&
+        post.author._id.toString() === currentUserId.toString();
+
+      if (!post || (!post.isActive && !isOwnArchivedPost)) {
         return res.status(404).json({
           success: false,
           message: 'Post not found'
         });
       }
 
-      // Check visibility for private posts
-      if (post.visibility === 'private' && (!currentUserId || post.author._id.toString() !== currentUserId.toString())) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access to this private post is denied.'
-        });
+      // Cache the post for 30 minutes
+      if (post.isActive) {
+        postCache.set(cacheKey, post, 1800);
       }
+    }
 
-      // Cache the post for 30 minutes
-      postCache.set(cacheKey, post, 1800);
+    // Check the author's privacy and the post's audience (cached posts are
+    // shared between viewers)
+    if (!(await canViewShared(post.author._id, post.visibility, currentUserId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
     }
 
     // Check if user liked this post (separate query for better performance)
-    let isLikedByUser = false;
-    if (currentUserId) {
-      const likedPost = await Post.findOne({
-        _id: id,
-        'likes.user': currentUserId
-      }).select('_id').lean();
-      isLikedByUser = !!likedPost;
-    }
+    const isLikedByUser = await Like.isLiked('post', post._id, currentUserId);
+    const isSavedByUser = await Save.isSaved(post._id, currentUserId);
 
     res.status(200).json({
       success: true,
       post: {
         ...post,
-        isLikedByUser
+        isLikedByUser,
+        isSavedByUser
       }
     });
   } catch (error) {
@@ -210,42 +387,250 @@ const getPost = async (req, res) => {
   }
 };
 
-// @desc    Like/Unlike post
-// @route   POST /api/posts/:id/like
+// Previous versions kept per post
+const MAX_EDIT_HISTORY = 20;
+const POST_VISIBILITIES = Post.schema.path('visibility').enumValues;
+
+// Drop a post's cached copy and every cached feed or trending page it may be on
+const clearPostCaches = (postId) => {
+  postCache.del(`post:${postId}`);
+  cacheUtils.delByPrefix(postCache, 'feed:');
+  cacheUtils.delByPrefix(postCache, 'trending:');
+};
+
+const normalizeLocation = (location) => {
+  const { name, coordinates: { latitude, longitude } = {} } = location || {};
+  return name || latitude != null || longitude != null ? { name, latitude, longitude } : null;
+};
+
+// Whether an edited field holds the same value as the post already has
+const isUnchanged = (field, value, post) => {
+  switch (field) {
+    case 'caption':
+      return value === (post.caption || '');
+    case 'tags':
+      return value.join(',') === post.tags.join(',');
+    case 'location':
+      return JSON.stringify(normalizeLocation(value)) === JSON.stringify(normalizeLocation(post.location));
+    case 'media':
+      return value.map(item => item._id.toString()).join(',') === post.media.map(item => item._id.toString()).join(',');
+    default:
+      return value === post[field];
+  }
+};
+
+// @desc    Edit post caption, tags, location, visibility, comments or media order
+//          (also edits drafts and scheduled posts)
+// @route   PUT /api/posts/:id
 // @access  Private
-const toggleLike = async (req, res) => {
+const updatePost = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
+    const { caption, tags, location, visibility, commentsEnabled, media } = req.body;
 
-    const post = await Post.findById(id);
-    if (!post || !post.isActive) {
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findById(id);
+    const isPublished = post && post.status === 'published';
+    if (!post || (isPublished && !post.isActive) || (!isPublished && post.author.toString() !== userId.toString())) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    const isLiked = post.isLikedBy(userId);
-    let action;
+    // Check if user is the author
+    if (post.author.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own posts'
+      });
+    }
 
-    if (isLiked) {
-      await post.unlike(userId);
-      action = 'unliked';
-    } else {
-      await post.like(userId);
-      action = 'liked';
+    const updates = {};
+
+    if (caption !== undefined) {
+      updates.caption = caption ? String(caption) : '';
     }
 
-    // Clear cache
-    postCache.del(`post:${id}`);
-    postCache.flushAll(); // Clear all feed caches
+    if (tags !== undefined) {
+      updates.tags = (Array.isArray(tags) ? tags : String(tags).split(','))
+        .map(tag => String(tag).trim())
+        .filter(Boolean);
+    }
+
+    if (location !== undefined) {
+      try {
+        updates.location = typeof location === 'string' ? JSON.parse(location) : location;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Location must be valid JSON'
+        });
+      }
+    }
+
+    if (visibility !== undefined) {
+      if (!POST_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          message: `Visibility must be one of: ${POST_VISIBILITIES.join(', ')}`
+        });
+      }
+      updates.visibility = visibility;
+    }
+
+    if (commentsEnabled !== undefined) {
+      updates.commentsEnabled = commentsEnabled === true || commentsEnabled === 'true';
+    }
+
+    // Media is the list of existing media item ids in their new order;
+    // items left out are removed
+    if (media !== undefined) {
+      const mediaIds = Array.isArray(media) ? media.map(String) : [];
+      const mediaById = new Map(post.media.map(item => [item._id.toString(), item]));
+
+      if (mediaIds.length === 0 || new Set(mediaIds).size !== mediaIds.length || !mediaIds.every(mediaId => mediaById.has(mediaId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Media must list ids of the post\'s media items, without duplicates, and keep at least one'
+        });
+      }
+
+      updates.media = mediaIds.map(mediaId => mediaById.get(mediaId));
+    }
+
+    const changedFields = Object.keys(updates).filter(field => !isUnchanged(field, updates[field], post));
+    if (changedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes to save'
+      });
+    }
+
+    const $set = {};
+    changedFields.forEach(field => {
+      $set[field] = updates[field];
+    });
+
+    let moderation = null;
+    if ($set.caption !== undefined) {
+      moderation = await moderateFields({ caption: $set.caption }, 'post');
+      if (moderation.action === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Caption goes against our community guidelines',
+          violations: moderation.violations
+        });
+      }
+
+      $set.caption = moderation.fields.caption;
+    }
+
+    // Mentions follow the caption and who the post is shared with
+    if ($set.caption !== undefined || $set.visibility !== undefined) {
+      $set.mentions = await resolveMentions(
+        $set.caption !== undefined ? $set.caption : post.caption,
+        userId,
+        { visibility: $set.visibility || post.visibility }
+      );
+    }
+
+    // Held edits hide the post until a moderator reviews it. Unpublished
+    // posts are moderated again when they are published.
+    const isHeld = isPublished && moderation?.action === 'hold';
+
+    const previousHashtags = [...post.hashtags];
+    if ($set.caption !== undefined || $set.tags !== undefined) {
+      $set.hashtags = getPostHashtags(
+        $set.caption !== undefined ? $set.caption : post.caption,
+        $set.tags !== undefined ? $set.tags : post.tags
+      );
+    }
+
+    // Drafts and scheduled posts are edited in place, without history
+    if (!isPublished) {
+      const updatedDraft = await Post.findOneAndUpdate(
+        { _id: post._id, status: post.status },
+        { $set },
+        { new: true, runValidators: true }
+      ).populate('author', 'name profileId profileImage isVerified');
+
+      if (!updatedDraft) {
+        return res.status(409).json({
+          success: false,
+          message: 'Post was published or deleted in the meantime'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Post updated successfully',
+        underReview: false,
+        post: updatedDraft
+      });
+    }
+
+    $set.isEdited = true;
+    $set.editedAt = new Date();
+    if (isHeld) {
+      $set.isActive = false;
+    }
+
+    // Keep the version being replaced
+    const current = post.toObject();
+    const previousVersion = {
+      caption: current.caption,
+      tags: current.tags,
+      location: current.location,
+      visibility: current.visibility,
+      commentsEnabled: current.commentsEnabled,
+      media: current.media.map(({ type, url, thumbnail, duration }) => ({ type, url, thumbnail, duration }))
+    };
+
+    const updatedPost = await Post.findOneAndUpdate(
+      { _id: post._id, isActive: true },
+      {
+        $set,
+        $push: { editHistory: { $each: [previousVersion], $slice: -MAX_EDIT_HISTORY } }
+      },
+      { new: true, runValidators: true }
+    ).populate('author', 'name profileId profileImage isVerified');
+
+    if (!updatedPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Keep hashtag counts in step with what the post now carries
+    const hashtags = isHeld ? [] : updatedPost.hashtags;
+    await Hashtag.recordUsage(hashtags.filter(name => !previousHashtags.includes(name)), 'post');
+    await Hashtag.recordUsage(previousHashtags.filter(name => !hashtags.includes(name)), 'post', -1);
+
+    if (isHeld) {
+      await User.findByIdAndUpdate(userId, { $inc: { postsCount: -1 } });
+      await holdForReview('post', updatedPost, userId, moderation.violations);
+    }
+
+    if ($set.mentions !== undefined) {
+      await syncMentions({
+        mentions: isHeld ? [] : updatedPost.mentions,
+        actor: userId,
+        targetType: 'post',
+        target: updatedPost._id,
+        post: updatedPost._id,
+        preview: updatedPost.caption
+      });
+    }
+
+    clearPostCaches(updatedPost._id);
 
     res.status(200).json({
       success: true,
-      message: `Post ${action} successfully`,
-      isLiked: !isLiked,
-      likesCount: post.likesCount
+      message: isHeld ? 'Post updated and is under review' : 'Post updated successfully',
+      underReview: isHeld,
+      post: updatedPost
     });
   } catch (error) {
     res.status(500).json({
@@ -255,44 +640,37 @@ const toggleLike = async (req, res) => {
   }
 };
 
-// @desc    Delete post
-// @route   DELETE /api/posts/:id
-// @access  Private
-const deletePost = async (req, res) => {
+// @desc    Get a post's previous versions (newest first)
+// @route   GET /api/posts/:id/history
+// @access  Private (author only)
+const getPostHistory = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
 
-    const post = await Post.findById(id);
-    if (!post) {
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findById(id)
+      .select('+editHistory')
+      .lean();
+
+    if (!post || !post.isActive) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== userId.toString()) {
+    if (post.author.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'You can only delete your own posts'
+        message: 'Only the author can view the edit history'
       });
     }
 
-    // Soft delete
-    post.isActive = false;
-    await post.save();
-
-    // Update user's posts count
-    await User.findByIdAndUpdate(userId, { $inc: { postsCount: -1 } });
-
-    // Clear cache
-    postCache.del(`post:${id}`);
-    postCache.flushAll(); // Clear all feed caches
+    const { editHistory = [], ...current } = post;
 
     res.status(200).json({
       success: true,
-      message: 'Post deleted successfully'
+      post: current,
+      history: [...editHistory].reverse()
     });
   } catch (error) {
     res.status(500).json({
@@ -302,49 +680,34 @@ const deletePost = async (req, res) => {
   }
 };
 
-// @desc    Get trending posts
-// @route   GET /api/posts/trending
-// @access  Public
-const getTrendingPosts = async (req, res) => {
+// Find one of the user's drafts or scheduled posts
+const findOwnUnpublishedPost = (id, userId, statuses = ['draft', 'scheduled']) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return Post.findOne({ _id: id, author: userId, status: { $in: statuses } });
+};
+
+// List handler for the user's own drafts, scheduled or archived posts
+const listOwnPosts = (ownFilter, sort) => async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Check cache first
-    const cacheKey = `trending:${page}:${limit}`;
-    let cachedTrending = postCache.get(cacheKey);
-
-    if (cachedTrending) {
-      return res.status(200).json(cachedTrending);
-    }
-
-    // Get trending posts (sorted by likes and comments in last 24 hours)
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const filter = { author: req.user._id, ...ownFilter };
 
-    const posts = await Post.find({
-      isActive: true,
-      visibility: 'public', // Only public posts can be trending
-      createdAt: { $gte: oneDayAgo }
-    })
+    const posts = await Post.find(filter)
       .populate('author', 'name profileId profileImage isVerified')
-      .select('-likes') // Exclude likes array
-      .sort({
-        likesCount: -1,
-        commentsCount: -1,
-        createdAt: -1
-      })
+      .sort(sort)
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Post.countDocuments({
-      isActive: true,
-      visibility: 'public',
-      createdAt: { $gte: oneDayAgo }
-    });
+    const total = await Post.countDocuments(filter);
 
-    const result = {
+    res.status(200).json({
       success: true,
       posts,
       pagination: {
@@ -354,12 +717,7 @@ const getTrendingPosts = async (req, res) => {
         hasNext: page < Math.ceil(total / limit),
         hasPrev: page > 1
       }
-    };
-
-    // Cache for 15 minutes
-    postCache.set(cacheKey, result, 900);
-
-    res.status(200).json(result);
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -368,18 +726,599 @@ const getTrendingPosts = async (req, res) => {
   }
 };
 
-// @desc    Share post
-// @route   POST /api/posts/:id/share
+// @desc    Get your drafts (most recently edited first)
+// @route   GET /api/posts/drafts
 // @access  Private
-const sharePost = async (req, res) => {
+const getDrafts = listOwnPosts({ status: 'draft' }, { updatedAt: -1 });
+
+// @desc    Get your scheduled posts (next to publish first)
+// @route   GET /api/posts/scheduled
+// @access  Private
+const getScheduledPosts = listOwnPosts({ status: 'scheduled' }, { scheduledAt: 1 });
+
+// @desc    Schedule a draft, or reschedule a scheduled post
+// @route   PUT /api/posts/:id/schedule
+// @access  Private
+const schedulePost = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const post = await Post.findById(id);
-    if (!post || !post.isActive) {
+    const { scheduledAt, error } = parseScheduledAt(req.body.scheduledAt);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const post = await findOwnUnpublishedPost(id, req.user._id);
+    if (!post) {
       return res.status(404).json({
         success: false,
-        message: 'Post not found'
+        message: 'Draft or scheduled post not found'
+      });
+    }
+
+    const scheduledPost = await Post.findOneAndUpdate(
+      { _id: post._id, status: post.status },
+      { $set: { status: 'scheduled', scheduledAt } },
+      { new: true }
+    ).populate('author', 'name profileId profileImage isVerified');
+
+    if (!scheduledPost) {
+      return res.status(409).json({
+        success: false,
+        message: 'Post was published or deleted in the meantime'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: post.status === 'scheduled' ? 'Post rescheduled successfully' : 'Post scheduled successfully',
+      post: scheduledPost
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel a scheduled post (it goes back to your drafts)
+// @route   DELETE /api/posts/:id/schedule
+// @access  Private
+const cancelScheduledPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findOneAndUpdate(
+      { _id: id, author: req.user._id, status: 'scheduled' },
+      { $set: { status: 'draft', scheduledAt: null } },
+      { new: true }
+    ).populate('author', 'name profileId profileImage isVerified');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled post not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule cancelled, post moved to drafts',
+      post
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Publish a draft or scheduled post now
+// @route   POST /api/posts/:id/publish
+// @access  Private
+const publishDraft = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await findOwnUnpublishedPost(id, req.user._id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft or scheduled post not found'
+      });
+    }
+
+    const result = await publishPost(post);
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Post was published or deleted in the meantime'
+      });
+    }
+
+    await result.post.populate('author', 'name profileId profileImage isVerified');
+
+    res.status(200).json({
+      success: true,
+      message: result.underReview ? 'Post submitted and is under review' : 'Post published successfully',
+      underReview: result.underReview,
+      post: result.post
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Pinned posts per profile
+const MAX_PINNED_POSTS = 3;
+
+// @desc    Get your archived posts (most recently archived first)
+// @route   GET /api/posts/archive
+// @access  Private
+const getArchivedPosts = listOwnPosts({ isArchived: true }, { archivedAt: -1 });
+
+// @desc    Archive post (hides it from your profile and feeds)
+// @route   POST /api/posts/:id/archive
+// @access  Private
+const archivePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findOneAndUpdate(
+      { _id: id, author: userId, isActive: true },
+      { $set: { isActive: false, isArchived: true, archivedAt: new Date(), pinnedAt: null } },
+      { new: true }
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Archived posts leave hashtag counts and mention lists until unarchived
+    await User.findByIdAndUpdate(userId, { $inc: { postsCount: -1 } });
+    await Hashtag.recordUsage(post.hashtags, 'post', -1);
+    await removeMentions('post', post._id);
+
+    clearPostCaches(post._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post archived successfully',
+      isArchived: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unarchive post (shows it on your profile and in feeds again)
+// @route   DELETE /api/posts/:id/archive
+// @access  Private
+const unarchivePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findOneAndUpdate(
+      { _id: id, author: userId, isArchived: true },
+      { $set: { isActive: true, isArchived: false, archivedAt: null } },
+      { new: true }
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archived post not found'
+      });
+    }
+
+    await User.findByIdAndUpdate(userId, { $inc: { postsCount: 1 } });
+    await Hashtag.recordUsage(post.hashtags, 'post');
+    await syncMentions({
+      mentions: post.mentions,
+      actor: userId,
+      targetType: 'post',
+      target: post._id,
+      post: post._id,
+      silent: true
+    });
+
+    clearPostCaches(post._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post unarchived successfully',
+      isArchived: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Pin post to the top of your profile
+// @route   POST /api/posts/:id/pin
+// @access  Private
+const pinPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findOne({ _id: id, author: userId, isActive: true });
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (post.pinnedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Post is already pinned'
+      });
+    }
+
+    const pinnedCount = await Post.countDocuments({ author: userId, isActive: true, pinnedAt: { $ne: null } });
+    if (pinnedCount >= MAX_PINNED_POSTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can pin up to ${MAX_PINNED_POSTS} posts`
+      });
+    }
+
+    post.pinnedAt = new Date();
+    await post.save();
+
+    postCache.del(`post:${post._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post pinned successfully',
+      isPinned: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unpin post
+// @route   DELETE /api/posts/:id/pin
+// @access  Private
+const unpinPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findOneAndUpdate(
+      { _id: id, author: req.user._id, pinnedAt: { $ne: null } },
+      { $set: { pinnedAt: null } }
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pinned post not found'
+      });
+    }
+
+    postCache.del(`post:${post._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post unpinned successfully',
+      isPinned: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Like/Unlike post
+// @route   POST /api/posts/:id/like
+// @access  Private
+const toggleLike = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const post = await Post.findById(id);
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewShared(post.author, post.visibility, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
+    const isLiked = await Like.isLiked('post', post._id, userId);
+    let action;
+    let likesCount;
+
+    if (isLiked) {
+      likesCount = await Like.unlike('post', post._id, userId);
+      action = 'unliked';
+      await retractNotification({ recipient: post.author, actor: userId, type: 'post_like', target: post._id });
+    } else {
+      likesCount = await Like.like('post', post._id, userId);
+      action = 'liked';
+      await notify({ recipient: post.author, actor: userId, type: 'post_like', targetType: 'post', target: post._id, post: post._id });
+    }
+
+    // Clear cache
+    postCache.del(`post:${id}`);
+    postCache.flushAll(); // Clear all feed caches
+
+    res.status(200).json({
+      success: true,
+      message: `Post ${action} successfully`,
+      isLiked: !isLiked,
+      likesCount: likesCount ?? post.likesCount // null if a concurrent request already applied it
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get users who liked a post
+// @route   GET /api/posts/:id/likes
+// @access  Public
+const getPostLikes = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const post = await Post.findById(id)
+      .select('isActive visibility author likesCount')
+      .populate('author', '_id isPrivate')
+      .lean();
+    if (!post || !post.isActive || !post.author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Private accounts and blocks apply as they do for the author's posts
+    if (!(await canViewContent(post.author, req.user?._id)) ||
+      !(await isAllowedByVisibility(post.visibility, post.author._id, req.user?._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
+    const blockedIds = await getBlockedUserIds(req.user?._id);
+    const filter = { targetType: 'post', target: post._id, user: { $nin: blockedIds } };
+
+    const likes = await Like.find(filter)
+      .populate('user', 'name profileId profileImage isVerified')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Like.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      users: likes
+        .filter(like => like.user)
+        .map(like => ({ ...like.user, likedAt: like.createdAt })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete post
+// @route   DELETE /api/posts/:id
+// @access  Private
+const deletePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const post = await Post.findById(id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Check if user is the author
+    if (post.author.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own posts'
+      });
+    }
+
+    // Drafts and scheduled posts were never public, so they go for good
+    if (post.status === 'draft' || post.status === 'scheduled') {
+      await post.deleteOne();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Draft deleted successfully'
+      });
+    }
+
+    const wasActive = post.isActive;
+
+    // Soft delete (a deleted post can no longer be unarchived)
+    post.isActive = false;
+    post.deletedAt = new Date();
+    post.isArchived = false;
+    post.pinnedAt = null;
+    await post.save();
+
+    if (wasActive) {
+      await Hashtag.recordUsage(post.hashtags, 'post', -1);
+
+      // Update user's posts count (hidden posts were already taken off it)
+      await User.findByIdAndUpdate(userId, { $inc: { postsCount: -1 } });
+    }
+    await removeMentions('post', post._id);
+
+    // Clear cache
+    postCache.del(`post:${id}`);
+    postCache.flushAll(); // Clear all feed caches
+
+    res.status(200).json({
+      success: true,
+      message: 'Post deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Drop posts by users blocked in either direction from a shared (cached) result
+const withoutBlockedAuthors = async (result, userId) => {
+  const blockedIds = new Set((await getBlockedUserIds(userId)).map(id => id.toString()));
+  if (blockedIds.size === 0) {
+    return result;
+  }
+
+  return {
+    ...result,
+    posts: result.posts.filter(post => !(post.author && blockedIds.has(post.author._id.toString())))
+  };
+};
+
+// Most posts kept in the trending ranking
+const TRENDING_LIMIT = 500;
+const TRENDING_SORT = { likesCount: -1, commentsCount: -1, createdAt: -1, _id: -1 };
+
+// @desc    Get trending posts
+// @route   GET /api/posts/trending?cursor=
+// @access  Public
+const getTrendingPosts = async (req, res) => {
+  try {
+    // Likes and comments keep changing, so cursors hold a position in a
+    // ranking that is worked out once and kept for 15 minutes
+    const pagination = getPagination(req.query, Post, TRENDING_SORT, { byOffset: true });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    let ranking = rankingCache.get('trending_posts');
+
+    if (!ranking) {
+      // Get trending posts (sorted by likes and comments in last 24 hours)
+      const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      const ranked = await Post.find({
+        isActive: true,
+        visibility: 'public', // Only public posts can be trending
+        createdAt: { $gte: oneDayAgo }
+      })
+        .select('_id')
+        .sort(TRENDING_SORT)
+        .limit(TRENDING_LIMIT)
+        .lean();
+
+      ranking = ranked.map(post => post._id.toString());
+      rankingCache.set('trending_posts', ranking);
+    }
+
+    const { items: pageIds, pagination: pageInfo } = slicePage(ranking, pagination);
+
+    // Posts deleted or made private since the ranking drop out
+    const pagePosts = await Post.find({ _id: { $in: pageIds }, isActive: true, visibility: 'public' })
+      .populate('author', 'name profileId profileImage isVerified isPrivate')
+      .lean();
+    const postsById = new Map(pagePosts.map(post => [post._id.toString(), post]));
+
+    // Posts by private accounts only reach their followers
+    const result = {
+      success: true,
+      posts: await withoutPrivateAuthors(
+        pageIds.filter(id => postsById.has(id)).map(id => postsById.get(id)),
+        req.user?._id
+      ),
+      pagination: pageInfo
+    };
+
+    res.status(200).json(await withoutBlockedAuthors(result, req.user?._id));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Share post
+// @route   POST /api/posts/:id/share
+// @access  Private
+const sharePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findById(id);
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await canViewShared(post.author, post.visibility, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
       });
     }
 
@@ -406,8 +1345,22 @@ const sharePost = async (req, res) => {
 module.exports = {
   createPost,
   getHomeFeed,
+  getForYouFeed,
   getPost,
+  updatePost,
+  getPostHistory,
+  getDrafts,
+  getScheduledPosts,
+  schedulePost,
+  cancelScheduledPost,
+  publishDraft,
+  getArchivedPosts,
+  archivePost,
+  unarchivePost,
+  pinPost,
+  unpinPost,
   toggleLike,
+  getPostLikes,
   deletePost,
   getTrendingPosts,
   sharePost
@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { userCache } = require('../config/cache');
+const { hasPermission, outranks } = require('../config/roles');
+const { CONTENT_TYPES, findContent, setContentActive, logModerationAction } = require('../utils/moderation');
+const { SUSPENSION_REASONS, parseSuspensionInput, suspendUser } = require('../utils/suspensions');
+
+const REPORT_REASONS = Report.schema.path('reason').enumValues;
+const OPEN_STATUSES = ['open', 'in_review'];
+const RESOLVE_ACTIONS = ['hide', 'warn', 'suspend', 'dismiss'];
+const USER_FIELDS = 'name profileId profileImage isVerified';
+
+// @desc    Report a post, comment, story, service, ad or profile
+// @route   POST /api/reports
+// @access  Private
+const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const reporterId = req.user._id;
+
+    if (!CONTENT_TYPES[targetType]) {
+      return res.status(400).json({
+        success: false,
+        message: `Target type must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}`
+      });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    const found = await findContent(targetType, targetId);
+    if (!found || !found.content.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (found.ownerId && found.ownerId.toString() === reporterId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own content'
+      });
+    }
+
+    const alreadyReported = await Report.exists({
+      reporter: reporterId,
+      targetType,
+      target: found.content._id,
+      status: { $in: OPEN_STATUSES }
+    });
+    if (alreadyReported) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this'
+      });
+    }
+
+    const report = await Report.create({
+      reporter: reporterId,
+      targetType,
+      target: found.content._id,
+      targetOwner: found.ownerId,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted successfully',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Moderation queue (oldest first)
+// @route   GET /api/admin/reports?status=open&targetType=post&reason=spam&assignedTo=me
+// @access  Private (Moderator/Admin)
+const getReports = async (req, res) => {
+  try {
+    const { status = 'open', targetType, reason, assignedTo } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (targetType) filter.targetType = targetType;
+    if (reason) filter.reason = reason;
+
+    // assignedTo: 'me', 'unassigned' or a moderator's profileId
+    if (assignedTo === 'me') {
+      filter.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      filter.assignedTo = null;
+    } else if (assignedTo) {
+      const moderator = await User.findOne({ profileId: assignedTo }).select('_id');
+      filter.assignedTo = moderator ? moderator._id : null;
+    }
+
+    const reports = await Report.find(filter)
+      .populate('reporter', USER_FIELDS)
+      .populate('targetOwner', USER_FIELDS)
+      .populate('assignedTo', USER_FIELDS)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Report.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      reports,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get report with the reported content
+// @route   GET /api/admin/reports/:id
+// @access  Private (Moderator/Admin)
+const getReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const report = mongoose.Types.ObjectId.isValid(id) && await Report.findById(id)
+      .populate('reporter', USER_FIELDS)
+      .populate('targetOwner', USER_FIELDS)
+      .populate('assignedTo', USER_FIELDS)
+      .populate('resolution.resolvedBy', USER_FIELDS)
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const found = await findContent(report.targetType, report.target);
+    let content = null;
+    if (found) {
+      content = found.content.toObject();
+      delete content.phone;
+    }
+
+    // How many people have reported the same content
+    const reportsOnTarget = await Report.countDocuments({ targetType: report.targetType, target: report.target });
+
+    res.status(200).json({
+      success: true,
+      report,
+      content,
+      reportsOnTarget
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Assign report to a moderator (defaults to yourself)
+// @route   PUT /api/admin/reports/:id/assign
+// @access  Private (Moderator/Admin)
+const assignReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { profileId } = req.body;
+
+    const report = mongoose.Types.ObjectId.isValid(id) && await Report.findById(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(report.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report is already closed'
+      });
+    }
+
+    const assignee = profileId
+      ? await User.findOne({ profileId }).select('name profileId roles')
+      : req.user;
+
+    if (!assignee || !hasPermission(assignee, 'content:moderate')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reports can only be assigned to moderators'
+      });
+    }
+
+    report.assignedTo = assignee._id;
+    report.status = 'in_review';
+    await report.save();
+
+    await logModerationAction({
+      moderator: req.user._id,
+      action: 'assign',
+      targetType: report.targetType,
+      target: report.target,
+      targetUser: report.targetOwner,
+      report: report._id,
+      note: `Assigned to ${assignee.profileId}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Report assigned successfully',
+      report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Resolve report: hide content, warn or suspend the owner, or dismiss
+// @route   PUT /api/admin/reports/:id/resolve
+// @access  Private (Moderator/Admin)
+const resolveReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, note, durationDays, permanent } = req.body;
+    const moderatorId = req.user._id;
+
+    if (!RESOLVE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${RESOLVE_ACTIONS.join(', ')}`
+      });
+    }
+
+    const report = mongoose.Types.ObjectId.isValid(id) && await Report.findById(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(report.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report is already closed'
+      });
+    }
+
+    // Suspensions default to the report's reason when it is a suspension reason too
+    let suspension = null;
+    if (action === 'suspend') {
+      if (!hasPermission(req.user, 'users:suspend')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+
+      suspension = parseSuspensionInput({
+        reason: req.body.reason || (SUSPENSION_REASONS.includes(report.reason) ? report.reason : 'other'),
+        durationDays,
+        permanent
+      });
+
+      if (suspension.error) {
+        return res.status(400).json({
+          success: false,
+          message: suspension.error
+        });
+      }
+    }
+
+    const found = await findContent(report.targetType, report.target);
+    if (!found && action !== 'dismiss') {
+      return res.status(404).json({
+        success: false,
+        message: 'Reported content no longer exists'
+      });
+    }
+
+    if (action === 'hide') {
+      if (report.targetType === 'user') {
+        return res.status(400).json({
+          success: false,
+          message: "Profiles can't be hidden - warn or suspend the user instead"
+        });
+      }
+
+      await setContentActive(report.targetType, found.content, false);
+    } else if (action === 'warn' || action === 'suspend') {
+      if (!found.ownerId) {
+        return res.status(400).json({
+          success: false,
+          message: 'This content has no owner to act on'
+        });
+      }
+
+      if (found.ownerId.toString() === moderatorId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot take action against yourself'
+        });
+      }
+
+      const target = await User.findById(found.ownerId).select('roles').lean();
+      if (target && !outranks(req.user, target)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot take action against staff with the same or a higher role'
+        });
+      }
+
+      if (action === 'warn') {
+        const owner = await User.findByIdAndUpdate(
+          found.ownerId,
+          { $inc: { warningsCount: 1 }, $set: { lastWarnedAt: new Date() } },
+          { new: true }
+        ).select('profileId');
+
+        if (owner) {
+          userCache.del(`user:${owner._id}`);
+          userCache.del(`profile:${owner.profileId}`);
+        }
+      } else {
+        await suspendUser({
+          userId: found.ownerId,
+          reason: suspension.reason,
+          note,
+          endsAt: suspension.endsAt,
+          suspendedBy: moderatorId,
+          report: report._id
+        });
+      }
+    } else if (report.source === 'filter' && found && report.targetType !== 'user') {
+      // Dismissing a text filter hold publishes the held content (unless its
+      // author has deleted or archived it since, see getRestoreBlocker)
+      await setContentActive(report.targetType, found.content, true);
+    }
+
+    // The decision closes every open report on the same content
+    const status = action === 'dismiss' ? 'dismissed' : 'resolved';
+    const resolution = { action, note, resolvedBy: moderatorId, resolvedAt: new Date() };
+
+    const { modifiedCount } = await Report.updateMany(
+      { targetType: report.targetType, target: report.target, status: { $in: OPEN_STATUSES } },
+      { $set: { status, resolution } }
+    );
+
+    await logModerationAction({
+      moderator: moderatorId,
+      action,
+      targetType: report.targetType,
+      target: report.target,
+      targetUser: report.targetOwner,
+      report: report._id,
+      note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Report ${status} successfully`,
+      status,
+      closedReports: modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  assignReport,
+  resolveReport
+};
@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const Save = require('../models/Save');
+const SaveCollection = require('../models/SaveCollection');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const { postCache, cacheUtils } = require('../config/cache');
+const { getBlockedUserIds, isAllowedByVisibility, getPostVisibilityFilter } = require('../utils/privacy');
+
+const MAX_COLLECTIONS = 100;
+
+// Find one of the current user's collections by id
+const findOwnCollection = (collectionId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+    return null;
+  }
+
+  return SaveCollection.findOne({ _id: collectionId, user: userId });
+};
+
+// @desc    Save post (optionally into a collection)
+// @route   POST /api/posts/:id/save
+// @access  Private
+const savePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { collectionId } = req.body;
+    const userId = req.user._id;
+
+    const post = mongoose.Types.ObjectId.isValid(id) && await Post.findById(id).select('author visibility isActive');
+    if (!post || !post.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await isAllowedByVisibility(post.visibility, post.author, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this post is denied.'
+      });
+    }
+
+    let collection = null;
+    if (collectionId) {
+      collection = await findOwnCollection(collectionId, userId);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+    }
+
+    const save = await Save.findOneAndUpdate(
+      { user: userId, post: post._id },
+      collection
+        ? { $addToSet: { collections: collection._id } }
+        : { $setOnInsert: { collections: [] } },
+      { upsert: true, new: true }
+    );
+
+    cacheUtils.delByPrefix(postCache, `feed:${userId}:`);
+
+    res.status(200).json({
+      success: true,
+      message: collection ? `Post saved to ${collection.name}` : 'Post saved successfully',
+      isSaved: true,
+      collections: save.collections
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unsave post, or only remove it from a collection with ?collectionId=
+// @route   DELETE /api/posts/:id/save
+// @access  Private
+const unsavePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { collectionId } = req.query;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (collectionId) {
+      if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      const save = await Save.findOneAndUpdate(
+        { user: userId, post: id },
+        { $pull: { collections: collectionId } },
+        { new: true }
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Post removed from collection',
+        isSaved: !!save,
+        collections: save ? save.collections : []
+      });
+    }
+
+    await Save.deleteOne({ user: userId, post: id });
+
+    cacheUtils.delByPrefix(postCache, `feed:${userId}:`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post unsaved successfully',
+      isSaved: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get saved posts (all, or one collection with ?collection=<id>)
+// @route   GET /api/users/me/saved
+// @access  Private
+const getSavedPosts = async (req, res) => {
+  try {
+    const { collection: collectionId } = req.query;
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: userId };
+
+    let collection = null;
+    if (collectionId) {
+      collection = await findOwnCollection(collectionId, userId);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+      filter.collections = collection._id;
+    }
+
+    const saves = await Save.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    // Skip posts that were deleted, are no longer shared with the user or
+    // whose author is blocked
+    const blockedUserIds = await getBlockedUserIds(userId);
+    const posts = await Post.find({
+      _id: { $in: saves.map(save => save.post) },
+      isActive: true,
+      author: { $nin: blockedUserIds },
+      $or: await getPostVisibilityFilter(userId)
+    })
+      .populate('author', 'name profileId profileImage isVerified')
+      .lean();
+
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+    const likedPostIds = await Like.getLikedIds('post', posts.map(p => p._id), userId);
+
+    const total = await Save.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      collection,
+      posts: saves
+        .filter(save => postsById.has(save.post.toString()))
+        .map(save => ({
+          ...postsById.get(save.post.toString()),
+          isLikedByUser: likedPostIds.has(save.post.toString()),
+          isSavedByUser: true,
+          savedAt: save.createdAt,
+          savedCollections: save.collections
+        })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get your collections with post counts
+// @route   GET /api/users/me/collections
+// @access  Private
+const getCollections = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const collections = await SaveCollection.find({ user: userId })
+      .sort({ position: 1, createdAt: 1 })
+      .lean();
+
+    const counts = await Save.aggregate([
+      { $match: { user: userId, collections: { $in: collections.map(collection => collection._id) } } },
+      { $unwind: '$collections' },
+      { $group: { _id: '$collections', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.status(200).json({
+      success: true,
+      collections: collections.map(collection => ({
+        ...collection,
+        postsCount: countsById.get(collection._id.toString()) || 0
+      })),
+      totalSaved: await Save.countDocuments({ user: userId })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create collection
+// @route   POST /api/users/me/collections
+// @access  Private
+const createCollection = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const userId = req.user._id;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name is required'
+      });
+    }
+
+    const count = await SaveCollection.countDocuments({ user: userId });
+    if (count >= MAX_COLLECTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have up to ${MAX_COLLECTIONS} collections`
+      });
+    }
+
+    // New collections go last
+    const collection = await SaveCollection.create({ user: userId, name, position: count });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      collection
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Rename collection
+// @route   PUT /api/users/me/collections/:id
+// @access  Private
+const renameCollection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name is required'
+      });
+    }
+
+    const collection = await findOwnCollection(id, req.user._id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    collection.name = name;
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection renamed successfully',
+      collection
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a collection with this name'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reorder collections
+// @route   PUT /api/users/me/collections/order
+// @access  Private
+const reorderCollections = async (req, res) => {
+  try {
+    const { collectionIds } = req.body;
+    const userId = req.user._id;
+
+    const collections = await SaveCollection.find({ user: userId }).select('_id').lean();
+    const ownIds = new Set(collections.map(collection => collection._id.toString()));
+
+    // Must list every collection exactly once
+    const ids = Array.isArray(collectionIds) ? collectionIds.map(String) : [];
+    if (ids.length !== ownIds.size || new Set(ids).size !== ids.length || !ids.every(id => ownIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'collectionIds must list each of your collections once'
+      });
+    }
+
+    if (ids.length > 0) {
+      await SaveCollection.bulkWrite(ids.map((id, position) => ({
+        updateOne: {
+          filter: { _id: id, user: userId },
+          update: { $set: { position } }
+        }
+      })));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Collections reordered successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete collection (its posts stay saved)
+// @route   DELETE /api/users/me/collections/:id
+// @access  Private
+const deleteCollection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const collection = await findOwnCollection(id, userId);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    await Save.updateMany(
+      { user: userId, collections: collection._id },
+      { $pull: { collections: collection._id } }
+    );
+    await collection.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  savePost,
+  unsavePost,
+  getSavedPosts,
+  getCollections,
+  createCollection,
+  renameCollection,
+  reorderCollections,
+  deleteCollection
+};
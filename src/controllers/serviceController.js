@@ -1,6 +1,10 @@
+const mongoose = require('mongoose');
 const Service = require('../models/Service');
 const { serviceCache } = require('../config/cache');
 const { uploadMiddleware } = require('../middleware/upload');
+const { moderateFields } = require('../utils/textModeration');
+const { holdForReview } = require('../utils/moderation');
+const { getPagination, findPage } = require('../utils/pagination');
 
 // @desc    Create new service
 // @route   POST /api/services
@@ -21,30 +25,48 @@ const createService = [
       
       const providerId = req.user._id;
 
+      const moderation = await moderateFields({ title, description }, 'service');
+      if (moderation.action === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Service listing goes against our community guidelines',
+          violations: moderation.violations
+        });
+      }
+
+      // Held listings stay hidden until a moderator reviews them
+      const isHeld = moderation.action === 'hold';
+
       // Process uploaded images
       const images = req.files ? req.files.map(file => `/uploads/services/${file.filename}`) : [];
 
       const service = new Service({
         provider: providerId,
-        title,
-        description,
+        title: moderation.fields.title,
+        description: moderation.fields.description,
         category,
         pricing: JSON.parse(pricing),
         location: JSON.parse(location),
         availability: availability ? JSON.parse(availability) : undefined,
         images,
-        tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+        tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+        isActive: !isHeld
       });
 
       await service.save();
       await service.populate('provider', 'name profileId profileImage isVerified');
 
+      if (isHeld) {
+        await holdForReview('service', service, providerId, moderation.violations);
+      }
+
       // Clear cache
       serviceCache.flushAll();
 
       res.status(201).json({
         success: true,
-        message: 'Service created successfully',
+        message: isHeld ? 'Service submitted and is under review' : 'Service created successfully',
+        underReview: isHeld,
         service
       });
     } catch (error) {
@@ -57,13 +79,11 @@ const createService = [
 ];
 
 // @desc    Get all services
-// @route   GET /api/services
+// @route   GET /api/services?cursor=
 // @access  Public
 const getServices = async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
       category,
       location,
       priceMin,
@@ -73,8 +93,6 @@ const getServices = async (req, res) => {
       order = 'desc'
     } = req.query;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
     // Build filter query
     const filter = { isActive: true };
 
@@ -105,33 +123,34 @@ const getServices = async (req, res) => {
     const sortQuery = {};
     sortQuery[sortBy] = order === 'asc' ? 1 : -1;
 
+    const pagination = getPagination(req.query, Service, sortQuery);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+    const page = pagination.page || req.query.cursor;
+
     // Check cache first
-    const cacheKey = `services:${JSON.stringify({ filter, sortQuery, page, limit })}`;
+    const cacheKey = `services:${JSON.stringify({ filter, sortQuery, page, limit: pagination.limit })}`;
     let cachedResult = serviceCache.get(cacheKey);
 
     if (cachedResult) {
       return res.status(200).json(cachedResult);
     }
 
-    const services = await Service.find(filter)
-      .populate('provider', 'name profileId profileImage isVerified')
-      .sort(sortQuery)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    const total = await Service.countDocuments(filter);
+    const { items: services, pagination: pageInfo } = await findPage(
+      Service,
+      filter,
+      pagination,
+      query => query.populate('provider', 'name profileId profileImage isVerified')
+    );
 
     const result = {
       success: true,
       services,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        total,
-        hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
-        hasPrev: parseInt(page) > 1
-      }
+      pagination: pageInfo
     };
 
     // Cache for 30 minutes
@@ -208,6 +227,11 @@ const updateService = async (req, res) => {
       updateData.tags = updateData.tags.split(',').map(tag => tag.trim());
     }
 
+    // Featuring is granted by admins via /api/services/:id/feature, and
+    // visibility is decided by moderation
+    delete updateData.isFeatured;
+    delete updateData.isActive;
+
     const service = await Service.findById(id);
     if (!service) {
       return res.status(404).json({
@@ -224,19 +248,47 @@ const updateService = async (req, res) => {
       });
     }
 
+    const textFields = {};
+    ['title', 'description'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        textFields[field] = updateData[field];
+      }
+    });
+
+    const moderation = await moderateFields(textFields, 'service');
+    if (moderation.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        message: 'Service listing goes against our community guidelines',
+        violations: moderation.violations
+      });
+    }
+
+    // A held edit hides the listing until a moderator reviews it
+    const isHeld = moderation.action === 'hold';
+    Object.assign(updateData, moderation.fields);
+    if (isHeld) {
+      updateData.isActive = false;
+    }
+
     const updatedService = await Service.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
     ).populate('provider', 'name profileId profileImage isVerified');
 
+    if (isHeld) {
+      await holdForReview('service', updatedService, userId, moderation.violations);
+    }
+
     // Clear cache
     serviceCache.del(`service:${id}`);
     serviceCache.flushAll(); // Clear all service listings
 
     res.status(200).json({
       success: true,
-      message: 'Service updated successfully',
+      message: isHeld ? 'Service updated and is under review' : 'Service updated successfully',
+      underReview: isHeld,
       service: updatedService
     });
   } catch (error) {
@@ -273,6 +325,7 @@ const deleteService = async (req, res) => {
 
     // Soft delete
     service.isActive = false;
+    service.deletedAt = new Date();
     await service.save();
 
     // Clear cache
@@ -393,34 +446,76 @@ const getTrendingServices = async (req, res) => {
 };
 
 // @desc    Get user's services
-// @route   GET /api/services/my
+// @route   GET /api/services/my?cursor=
 // @access  Private
 const getMyServices = async (req, res) => {
   try {
     const userId = req.user._id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const services = await Service.find({ provider: userId })
-      .populate('provider', 'name profileId profileImage isVerified')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    const pagination = getPagination(req.query, Service, { createdAt: -1 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const total = await Service.countDocuments({ provider: userId });
+    const { items: services, pagination: pageInfo } = await findPage(
+      Service,
+      { provider: userId },
+      pagination,
+      query => query.populate('provider', 'name profileId profileImage isVerified')
+    );
 
     res.status(200).json({
       success: true,
       services,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      }
+      pagination: pageInfo
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Feature/unfeature service
+// @route   PUT /api/services/:id/feature
+// @access  Private (Admin)
+const setServiceFeatured = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isFeatured = true } = req.body;
+
+    // JSON booleans, or 'true'/'false' from form fields
+    if (![true, false, 'true', 'false'].includes(isFeatured)) {
+      return res.status(400).json({
+        success: false,
+        message: 'isFeatured must be true or false'
+      });
+    }
+
+    // Inactive (deleted, hidden or held) services can't be featured
+    const service = mongoose.Types.ObjectId.isValid(id) && await Service.findOneAndUpdate(
+      { _id: id, isActive: true },
+      { isFeatured: isFeatured === true || isFeatured === 'true' },
+      { new: true }
+    ).populate('provider', 'name profileId profileImage isVerified');
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    // Clear cache
+    serviceCache.flushAll();
+
+    res.status(200).json({
+      success: true,
+      message: `Service ${service.isFeatured ? 'featured' : 'unfeatured'} successfully`,
+      service
     });
   } catch (error) {
     res.status(500).json({
@@ -438,5 +533,6 @@ module.exports = {
   deleteService,
   addServiceReview,
   getTrendingServices,
-  getMyServices
+  getMyServices,
+  setServiceFeatured
 };
\ No newline at end of file
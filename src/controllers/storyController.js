@@ -1,7 +1,25 @@
 const Story = require('../models/Story');
 const User = require('../models/User'); // Corrected require statement
+const Follow = require('../models/Follow');
+const CloseFriend = require('../models/CloseFriend');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const { storyCache } = require('../config/cache');
 const { uploadMiddleware } = require('../middleware/upload');
+const {
+  canViewContent,
+  getBlockedUserIds,
+  getMutedUserIds,
+  isAllowedByAudience,
+  getAllowedVisibilities,
+  isAllowedByVisibility,
+  canViewShared
+} = require('../utils/privacy');
+const { notify } = require('../utils/notifications');
+const { resolveMentions, syncMentions, removeMentions } = require('../utils/mentions');
+const { emitToUser } = require('../realtime/gateway');
+
+const STORY_VISIBILITIES = Story.schema.path('visibility').enumValues;
 
 // @desc    Create new story
 // @route   POST /api/stories
@@ -10,7 +28,7 @@ const createStory = [
   uploadMiddleware.single('media'),
   async (req, res) => {
     try {
-      const { caption } = req.body;
+      const { caption, visibility = 'public' } = req.body;
       const authorId = req.user._id;
 
       if (!req.file) {
@@ -20,11 +38,20 @@ const createStory = [
         });
       }
 
+      if (!STORY_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          message: `Visibility must be one of: ${STORY_VISIBILITIES.join(', ')}`
+        });
+      }
+
       const isVideo = req.file.mimetype.startsWith('video/');
 
       const story = new Story({
         author: authorId,
         caption,
+        visibility,
+        mentions: await resolveMentions(caption, authorId, { visibility }),
         media: {
           type: isVideo ? 'video' : 'image',
           url: `/uploads/stories/${req.file.filename}`,
@@ -35,6 +62,14 @@ const createStory = [
       await story.save();
       await story.populate('author', 'name profileId profileImage isVerified');
 
+      await syncMentions({
+        mentions: story.mentions,
+        actor: authorId,
+        targetType: 'story',
+        target: story._id,
+        preview: story.caption
+      });
+
       // Clear cache
       storyCache.flushAll();
 
@@ -68,16 +103,28 @@ const getStoriesFeed = async (req, res) => {
     }
 
     // Get current user's following list
-    const currentUser = await User.findById(currentUserId).select('following');
-    const followingIds = [...currentUser.following, currentUserId]; // Include own stories
+    const followingIds = [...await Follow.getFollowingIds(currentUserId), currentUserId]; // Include own stories
+
+    // Hide stories from blocked and muted users
+    const hiddenAuthorIds = [
+      ...await getBlockedUserIds(currentUserId),
+      ...await getMutedUserIds(currentUserId)
+    ];
+
+    // Close friends stories only show for users on the author's list
+    const listedByIds = [...await CloseFriend.getListedByIds(currentUserId), currentUserId];
 
     // Group stories by user
     const stories = await Story.aggregate([
       {
         $match: {
-          author: { $in: followingIds },
+          author: { $in: followingIds, $nin: hiddenAuthorIds },
           isActive: true,
-          expiresAt: { $gt: new Date() }
+          expiresAt: { $gt: new Date() },
+          $or: [
+            { visibility: { $ne: 'close_friends' } },
+            { author: { $in: listedByIds } }
+          ]
         }
       },
       {
@@ -100,6 +147,7 @@ const getStoriesFeed = async (req, res) => {
               _id: '$_id',
               media: '$media',
               caption: '$caption',
+              visibility: '$visibility',
               viewsCount: '$viewsCount',
               createdAt: '$createdAt',
               expiresAt: '$expiresAt'
@@ -167,7 +215,7 @@ const getUserStories = async (req, res) => {
     const currentUserId = req.user._id;
 
     // Find user by profile ID
-    const user = await User.findOne({ profileId }).select('_id');
+    const user = await User.findOne({ profileId }).select('_id isPrivate');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -175,11 +223,24 @@ const getUserStories = async (req, res) => {
       });
     }
 
-    const stories = await Story.find({
+    if (!(await canViewContent(user, currentUserId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
+    const filter = {
       author: user._id,
       isActive: true,
       expiresAt: { $gt: new Date() }
-    })
+    };
+
+    if (!(await getAllowedVisibilities(user._id, currentUserId)).includes('close_friends')) {
+      filter.visibility = { $ne: 'close_friends' };
+    }
+
+    const stories = await Story.find(filter)
       .populate('author', 'name profileId profileImage isVerified')
       .sort({ createdAt: -1 })
       .lean();
@@ -219,6 +280,13 @@ const viewStory = async (req, res) => {
       });
     }
 
+    if (!(await canViewShared(story.author, story.visibility, userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
     // Check if story hasn't expired
     if (story.expiresAt <= new Date()) {
       return res.status(410).json({
@@ -229,9 +297,17 @@ const viewStory = async (req, res) => {
 
     const isNewView = await story.addView(userId);
 
-    // Clear cache if new view
+    // Clear cache and let the author know if new view
     if (isNewView) {
       storyCache.flushAll();
+
+      await notify({
+        recipient: story.author,
+        actor: userId,
+        type: 'story_view',
+        targetType: 'story',
+        target: story._id
+      });
     }
 
     res.status(200).json({
@@ -247,6 +323,82 @@ const viewStory = async (req, res) => {
   }
 };
 
+// @desc    Reply to story (sent as a direct message to the author)
+// @route   POST /api/stories/:id/reply
+// @access  Private
+const replyToStory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+    const userId = req.user._id;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply text is required'
+      });
+    }
+
+    const story = await Story.findById(id);
+    if (!story || !story.isActive || story.expiresAt <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (story.author.toString() === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reply to your own story'
+      });
+    }
+
+    const author = await User.findById(story.author).select('isPrivate isActive settings.storyReplies').lean();
+    if (!author || !author.isActive || !(await canViewContent(author, userId)) ||
+      !(await isAllowedByVisibility(story.visibility, author._id, userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    // Author's "who can reply to my stories" setting
+    if (!(await isAllowedByAudience(author.settings?.storyReplies, author._id, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'The author has limited who can reply to this story'
+      });
+    }
+
+    const conversation = await Conversation.findOrCreateDirect(userId, author._id);
+    const message = await Message.sendToConversation(conversation, userId, {
+      type: 'text',
+      text,
+      story: story._id
+    });
+
+    await message.populate('sender', 'name profileId profileImage isVerified');
+
+    emitToUser(author._id, 'message:new', {
+      conversationId: conversation._id,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply sent successfully',
+      conversationId: conversation._id,
+      data: message
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Delete story
 // @route   DELETE /api/stories/:id
 // @access  Private
@@ -273,7 +425,9 @@ const deleteStory = async (req, res) => {
 
     // Soft delete
     story.isActive = false;
+    story.deletedAt = new Date();
     await story.save();
+    await removeMentions('story', story._id);
 
     // Clear cache
     storyCache.flushAll();
@@ -343,6 +497,7 @@ module.exports = {
   getMyStories,
   getUserStories,
   viewStory,
+  replyToStory,
   deleteStory,
   getStoryViewers
 };
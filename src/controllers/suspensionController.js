@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Suspension = require('../models/Suspension');
+const { outranks } = require('../config/roles');
+const { logModerationAction } = require('../utils/moderation');
+const { parseSuspensionInput, suspendUser, liftSuspension } = require('../utils/suspensions');
+
+const APPEAL_DECISIONS = ['approve', 'reject'];
+const USER_FIELDS = 'name profileId profileImage isVerified';
+
+// @desc    Get your current suspension and appeal status
+// @route   GET /api/suspension
+// @access  Private (suspended users allowed)
+const getMySuspension = async (req, res) => {
+  try {
+    const recordId = req.user.suspension?.record;
+
+    const suspension = recordId && await Suspension.findOne({ _id: recordId, liftedAt: null })
+      .select('reason note endsAt createdAt appeal.message appeal.status appeal.submittedAt appeal.reviewedAt appeal.reviewNote')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      suspended: Boolean(suspension),
+      suspension: suspension || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Appeal your current suspension
+// @route   POST /api/suspension/appeal
+// @access  Private (suspended users allowed)
+const submitAppeal = async (req, res) => {
+  try {
+    const { message } = req.body;
+    const recordId = req.user.suspension?.record;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appeal message is required'
+      });
+    }
+
+    if (!recordId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not suspended'
+      });
+    }
+
+    // Only one appeal per suspension
+    const suspension = await Suspension.findOneAndUpdate(
+      { _id: recordId, liftedAt: null, 'appeal.status': null },
+      {
+        $set: {
+          appeal: { message: message.trim(), status: 'pending', submittedAt: new Date() }
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('reason endsAt appeal');
+
+    if (!suspension) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already appealed this suspension'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted successfully',
+      appeal: suspension.appeal
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Suspend a user, temporarily or permanently
+// @route   POST /api/admin/users/:profileId/suspend
+// @access  Private (Moderator/Admin)
+const suspendAccount = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { note } = req.body;
+
+    const { reason, endsAt, error } = parseSuspensionInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findOne({ profileId }).select('_id profileId roles');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot take action against yourself'
+      });
+    }
+
+    if (!outranks(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot suspend staff with the same or a higher role'
+      });
+    }
+
+    const suspension = await suspendUser({
+      userId: user._id,
+      reason,
+      note,
+      endsAt,
+      suspendedBy: req.user._id
+    });
+
+    await logModerationAction({
+      moderator: req.user._id,
+      action: 'suspend',
+      targetType: 'user',
+      target: user._id,
+      targetUser: user._id,
+      note: note || `Suspended for ${reason}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: endsAt ? 'User suspended successfully' : 'User permanently suspended',
+      suspension
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   DELETE /api/admin/users/:profileId/suspension
+// @access  Private (Moderator/Admin)
+const unsuspendAccount = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { note } = req.body;
+
+    const user = await User.findOne({ profileId }).select('_id suspension');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const suspension = user.suspension?.record && await liftSuspension(user.suspension.record, {
+      liftedBy: req.user._id,
+      liftReason: 'moderator'
+    });
+
+    if (!suspension) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    await logModerationAction({
+      moderator: req.user._id,
+      action: 'unsuspend',
+      targetType: 'user',
+      target: user._id,
+      targetUser: user._id,
+      note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Suspension lifted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Suspension history for a user (newest first)
+// @route   GET /api/admin/users/:profileId/suspensions
+// @access  Private (Moderator/Admin)
+const getUserSuspensions = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    const user = await User.findOne({ profileId }).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const suspensions = await Suspension.find({ user: user._id })
+      .populate('suspendedBy', USER_FIELDS)
+      .populate('liftedBy', USER_FIELDS)
+      .populate('appeal.reviewedBy', USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      suspensions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Appeal queue (oldest first)
+// @route   GET /api/admin/appeals?status=pending
+// @access  Private (Moderator/Admin)
+const getAppeals = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = status === 'all'
+      ? { 'appeal.status': { $ne: null } }
+      : { 'appeal.status': status };
+
+    const appeals = await Suspension.find(filter)
+      .populate('user', USER_FIELDS)
+      .populate('suspendedBy', USER_FIELDS)
+      .populate('appeal.reviewedBy', USER_FIELDS)
+      .sort({ 'appeal.submittedAt': 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Suspension.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      appeals,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve (lift the suspension) or reject an appeal
+// @route   PUT /api/admin/appeals/:id
+// @access  Private (Moderator/Admin)
+const reviewAppeal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, note } = req.body;
+    const moderatorId = req.user._id;
+
+    if (!APPEAL_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `Decision must be one of: ${APPEAL_DECISIONS.join(', ')}`
+      });
+    }
+
+    const suspension = mongoose.Types.ObjectId.isValid(id) && await Suspension.findById(id);
+    if (!suspension || !suspension.appeal?.status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (suspension.appeal.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Appeal has already been reviewed'
+      });
+    }
+
+    if (suspension.user.toString() === moderatorId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review your own appeal'
+      });
+    }
+
+    if (suspension.liftedAt || (suspension.endsAt && suspension.endsAt <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'This suspension has already ended'
+      });
+    }
+
+    const approved = decision === 'approve';
+
+    suspension.appeal.status = approved ? 'approved' : 'rejected';
+    suspension.appeal.reviewedBy = moderatorId;
+    suspension.appeal.reviewedAt = new Date();
+    suspension.appeal.reviewNote = note;
+    await suspension.save();
+
+    if (approved) {
+      await liftSuspension(suspension._id, { liftedBy: moderatorId, liftReason: 'appeal' });
+    }
+
+    await logModerationAction({
+      moderator: moderatorId,
+      action: approved ? 'appeal_approved' : 'appeal_rejected',
+      targetType: 'user',
+      target: suspension.user,
+      targetUser: suspension.user,
+      note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Appeal approved and suspension lifted' : 'Appeal rejected',
+      appeal: suspension.appeal
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMySuspension,
+  submitAppeal,
+  suspendAccount,
+  unsuspendAccount,
+  getUserSuspensions,
+  getAppeals,
+  reviewAppeal
+};
@@ -1,7 +1,28 @@
 const User = require('../models/User');
+const Follow = require('../models/Follow');
 const Post = require('../models/Post');
-const { userCache } = require('../config/cache');
+const FollowRequest = require('../models/FollowRequest');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const CloseFriend = require('../models/CloseFriend');
+const Mention = require('../models/Mention');
+const Comment = require('../models/Comment');
+const Story = require('../models/Story');
+const { userCache, postCache, storyCache, cacheUtils } = require('../config/cache');
 const { uploadMiddleware } = require('../middleware/upload');
+const {
+  canViewContent,
+  getBlockedUserIds,
+  isBlockedBetween,
+  getAllowedVisibilities,
+  isAllowedByVisibility
+} = require('../utils/privacy');
+const { notify, retractNotification } = require('../utils/notifications');
+const { moderateFields } = require('../utils/textModeration');
+const { holdForReview } = require('../utils/moderation');
+const { buildSettingUpdates, buildNotificationPreferenceUpdates } = require('../utils/settings');
+const { getPagination, applyCursor, cursorAfter, findPage } = require('../utils/pagination');
+const { setPresenceVisibility } = require('../realtime/gateway');
 
 // @desc    Get user profile by profileId
 // @route   GET /api/users/:profileId
@@ -17,7 +38,7 @@ const getUserProfile = async (req, res) => {
 
     if (!user) {
       user = await User.findOne({ profileId })
-        .select('-phone -email')
+        .select('-phone -email -notificationPreferences -warningsCount -lastWarnedAt -suspension')
         .lean();
 
       if (!user) {
@@ -31,17 +52,46 @@ const getUserProfile = async (req, res) => {
       userCache.set(cacheKey, user, 1800); // 30 minutes
     }
 
+    // Users who blocked the viewer don't exist as far as the viewer can tell
+    let isBlocked = false;
+    if (currentUserId) {
+      if (await Block.exists({ blocker: user._id, blocked: currentUserId })) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      isBlocked = !!(await Block.exists({ blocker: currentUserId, blocked: user._id }));
+    }
+
     // Check if current user is following this user
     let isFollowing = false;
+    let isRequested = false;
     if (currentUserId) {
-      isFollowing = user.followers.includes(currentUserId.toString());
+      isFollowing = await Follow.isFollowing(currentUserId, user._id);
+
+      if (!isFollowing && user.isPrivate) {
+        isRequested = !!(await FollowRequest.exists({ requester: currentUserId, target: user._id }));
+      }
+    }
+
+    const canView = await canViewContent(user, currentUserId);
+
+    // Settings stay private; last seen is only shown if the user allows it
+    const { settings, ...profile } = user;
+    if (settings && settings.showActivityStatus === false) {
+      delete profile.lastSeen;
     }
 
     res.status(200).json({
       success: true,
       user: {
-        ...user,
-        isFollowing
+        ...profile,
+        isFollowing,
+        isRequested,
+        isBlocked,
+        canViewContent: canView
       }
     });
   } catch (error) {
@@ -121,11 +171,33 @@ const updateProfile = async (req, res) => {
 
     // Remove fields that shouldn't be updated directly or are handled separately
     delete updateData.phone; // Phone number should have a separate update mechanism
-    delete updateData.followers;
-    delete updateData.following;
     delete updateData.followersCount;
     delete updateData.followingCount;
     delete updateData.postsCount;
+    delete updateData.roles; // Managed by admins via /api/admin
+    delete updateData.isVerified;
+    delete updateData.isActive;
+    delete updateData.warningsCount;
+    delete updateData.lastWarnedAt;
+    delete updateData.suspension;
+    delete updateData.settings; // Managed via /api/users/settings
+    delete updateData.notificationPreferences; // Managed via /api/users/settings
+
+    // Profiles can't be hidden, so a held bio is saved and queued for review
+    let moderation = null;
+    if (updateData.bio !== undefined) {
+      moderation = await moderateFields({ bio: updateData.bio }, 'profile');
+      if (moderation.action === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Bio goes against our community guidelines',
+          violations: moderation.violations
+        });
+      }
+
+      updateData.bio = moderation.fields.bio;
+    }
+    const isHeld = moderation?.action === 'hold';
 
     // The pre-save hook in the User model will handle converting empty strings for profileId and email to null
     const user = await User.findByIdAndUpdate(
@@ -141,13 +213,27 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    // Switching to a public account approves any pending follow requests
+    if (!user.isPrivate) {
+      const pendingRequests = await FollowRequest.find({ target: userId });
+
+      for (const request of pendingRequests) {
+        await approveRequest(request);
+      }
+    }
+
+    if (isHeld) {
+      await holdForReview('user', user, userId, moderation.violations);
+    }
+
     // Clear cache for the updated user
     userCache.del(`user:${userId}`);
     userCache.del(`profile:${user.profileId}`); // Clear cache for the profileId
 
     res.status(200).json({
       success: true,
-      message: 'Profile updated successfully',
+      message: isHeld ? 'Profile updated and your bio is under review' : 'Profile updated successfully',
+      underReview: isHeld,
       user
     });
   } catch (error) {
@@ -158,6 +244,167 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Get current user's privacy and notification settings
+// @route   GET /api/users/settings
+// @access  Private
+const getSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('settings notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      settings: {
+        ...user.settings.toObject(),
+        notifications: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update current user's privacy and notification settings
+// @route   PUT /api/users/settings
+// @access  Private
+const updateSettings = async (req, res) => {
+  try {
+    const settingUpdates = buildSettingUpdates(req.body);
+    const notificationUpdates = buildNotificationPreferenceUpdates(req.body.notifications);
+
+    const error = settingUpdates.error || notificationUpdates.error;
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { ...settingUpdates.updates, ...notificationUpdates.updates } },
+      { new: true, runValidators: true }
+    ).select('profileId settings notificationPreferences');
+
+    // Clear cache
+    userCache.del(`user:${user._id}`);
+    userCache.del(`profile:${user.profileId}`);
+
+    if (req.body.showActivityStatus !== undefined) {
+      setPresenceVisibility(user._id, user.settings.showActivityStatus);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings: {
+        ...user.settings.toObject(),
+        notifications: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Content types a mention can be in, and what to load for each
+const MENTION_TARGETS = {
+  post: { Model: Post, fields: 'author visibility caption media mentions likesCount commentsCount createdAt' },
+  comment: { Model: Comment, fields: 'content post mentions likesCount createdAt' },
+  story: { Model: Story, fields: 'author visibility caption media mentions expiresAt createdAt' }
+};
+
+// Whether viewer is in the audience of mentioned content (for comments,
+// the audience of their post)
+const canViewMentionedContent = async (targetType, content, viewerId) => {
+  let shared = content;
+  if (targetType === 'comment') {
+    shared = await Post.findOne({ _id: content.post, isActive: true }).select('author visibility').lean();
+  }
+
+  return !!shared && isAllowedByVisibility(shared.visibility, shared.author, viewerId);
+};
+
+// @desc    Posts, comments and stories you've been mentioned in (newest first)
+// @route   GET /api/users/me/mentions?type=post|comment|story
+// @access  Private
+const getMyMentions = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const currentUserId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (type && !MENTION_TARGETS[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${Object.keys(MENTION_TARGETS).join(', ')}`
+      });
+    }
+
+    const filter = {
+      user: currentUserId,
+      actor: { $nin: await getBlockedUserIds(currentUserId) }
+    };
+    if (type) filter.targetType = type;
+
+    const mentions = await Mention.find(filter)
+      .populate('actor', 'name profileId profileImage isVerified')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    // Load the content of each type in one query, skipping anything deleted or expired
+    const contentById = new Map();
+    for (const [targetType, { Model, fields }] of Object.entries(MENTION_TARGETS)) {
+      const ids = mentions.filter(mention => mention.targetType === targetType).map(mention => mention.target);
+      if (ids.length === 0) continue;
+
+      const contents = await Model.find({ _id: { $in: ids }, isActive: true }).select(fields).lean();
+      for (const content of contents) {
+        if (await canViewMentionedContent(targetType, content, currentUserId)) {
+          contentById.set(content._id.toString(), content);
+        }
+      }
+    }
+
+    const total = await Mention.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      mentions: mentions
+        .filter(mention => contentById.has(mention.target.toString()))
+        .map(mention => ({
+          _id: mention._id,
+          targetType: mention.targetType,
+          actor: mention.actor,
+          post: mention.post,
+          content: contentById.get(mention.target.toString()),
+          createdAt: mention.createdAt
+        })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Follow/Unfollow user
 // @route   POST /api/users/:profileId/follow
 // @access  Private
@@ -181,16 +428,23 @@ const toggleFollow = async (req, res) => {
       });
     }
 
-    const currentUser = await User.findById(currentUserId);
-    const isFollowing = currentUser.following.includes(userToFollow._id);
+    if (await isBlockedBetween(currentUserId, userToFollow._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+
+    const isFollowing = await Follow.isFollowing(currentUserId, userToFollow._id);
 
     if (isFollowing) {
       // Unfollow
-      await currentUser.unfollow(userToFollow._id);
+      await Follow.unfollow(currentUserId, userToFollow._id);
+      await retractNotification({ recipient: userToFollow._id, actor: currentUserId, type: 'follow', target: userToFollow._id });
 
       // Clear cache
       userCache.del(`user:${currentUserId}`);
-      userCache.del(`profile:${currentUser.profileId}`);
+      userCache.del(`profile:${req.user.profileId}`);
       userCache.del(`profile:${userToFollow.profileId}`);
 
       res.status(200).json({
@@ -198,13 +452,42 @@ const toggleFollow = async (req, res) => {
         message: 'User unfollowed successfully',
         isFollowing: false
       });
+    } else if (userToFollow.isPrivate) {
+      // Private account - send a follow request instead
+      await FollowRequest.updateOne(
+        { requester: currentUserId, target: userToFollow._id },
+        { $setOnInsert: { requester: currentUserId, target: userToFollow._id } },
+        { upsert: true }
+      );
+
+      await notify({
+        recipient: userToFollow._id,
+        actor: currentUserId,
+        type: 'follow_request',
+        targetType: 'user',
+        target: userToFollow._id
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Follow request sent successfully',
+        isFollowing: false,
+        isRequested: true
+      });
     } else {
       // Follow
-      await currentUser.follow(userToFollow._id);
+      await Follow.follow(currentUserId, userToFollow._id);
+      await notify({
+        recipient: userToFollow._id,
+        actor: currentUserId,
+        type: 'follow',
+        targetType: 'user',
+        target: userToFollow._id
+      });
 
       // Clear cache
       userCache.del(`user:${currentUserId}`);
-      userCache.del(`profile:${currentUser.profileId}`);
+      userCache.del(`profile:${req.user.profileId}`);
       userCache.del(`profile:${userToFollow.profileId}`);
 
       res.status(200).json({
@@ -222,16 +505,20 @@ const toggleFollow = async (req, res) => {
 };
 
 // @desc    Get user posts
-// @route   GET /api/users/:profileId/posts
+// @route   GET /api/users/:profileId/posts?cursor=
 // @access  Public
 const getUserPosts = async (req, res) => {
   try {
     const { profileId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = getPagination(req.query, Post, { createdAt: -1 }, { defaultLimit: 10 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const user = await User.findOne({ profileId }).select('_id');
+    const user = await User.findOne({ profileId }).select('_id isPrivate');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -239,25 +526,41 @@ const getUserPosts = async (req, res) => {
       });
     }
 
-    const posts = await Post.find({ author: user._id, isActive: true })
-      .populate('author', 'name profileId profileImage isVerified')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    if (!(await canViewContent(user, req.user?._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
+    const filter = {
+      author: user._id,
+      isActive: true,
+      visibility: { $in: await getAllowedVisibilities(user._id, req.user?._id) }
+    };
 
-    const total = await Post.countDocuments({ author: user._id, isActive: true });
+    // Pinned posts lead the first page, most recently pinned first
+    const pinnedPosts = pagination.page === 1
+      ? await Post.find({ ...filter, pinnedAt: { $ne: null } })
+        .populate('author', 'name profileId profileImage isVerified')
+        .sort({ pinnedAt: -1 })
+        .lean()
+      : [];
+
+    const { items: posts, pagination: pageInfo } = await findPage(
+      Post,
+      { ...filter, pinnedAt: null },
+      pagination,
+      query => query.populate('author', 'name profileId profileImage isVerified')
+    );
 
     res.status(200).json({
       success: true,
-      posts,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      }
+      posts: [
+        ...pinnedPosts.map(post => ({ ...post, isPinned: true })),
+        ...posts.map(post => ({ ...post, isPinned: false }))
+      ],
+      pagination: pageInfo
     });
   } catch (error) {
     res.status(500).json({
@@ -268,11 +571,11 @@ const getUserPosts = async (req, res) => {
 };
 
 // @desc    Search users
-// @route   GET /api/users/search
+// @route   GET /api/users/search?q=&cursor=
 // @access  Public
 const searchUsers = async (req, res) => {
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
 
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -281,36 +584,28 @@ const searchUsers = async (req, res) => {
       });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Relevance can't be resumed from a value, so search cursors hold an offset
+    const pagination = getPagination(req.query, User, { score: { $meta: 'textScore' }, followersCount: -1 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const searchRegex = new RegExp(q.trim(), 'i');
+    const blockedIds = await getBlockedUserIds(req.user?._id);
 
     // Use text search for better performance
-    const users = await User.find({
-      $text: { $search: q.trim() },
-      isActive: true
-    })
-      .select('name profileId profileImage profession followersCount isVerified')
-      .sort({ score: { $meta: 'textScore' }, followersCount: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    const total = await User.countDocuments({
+    const { items: users, pagination: pageInfo } = await findPage(User, {
       $text: { $search: q.trim() },
+      _id: { $nin: blockedIds },
       isActive: true
-    });
+    }, pagination, query => query.select('name profileId profileImage profession followersCount isVerified'));
 
     res.status(200).json({
       success: true,
       users,
-      pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        total,
-        hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
-        hasPrev: parseInt(page) > 1
-      }
+      pagination: pageInfo
     });
   } catch (error) {
     res.status(500).json({
@@ -328,13 +623,14 @@ const getSuggestedUsers = async (req, res) => {
     const currentUserId = req.user._id;
     const limit = parseInt(req.query.limit) || 10;
 
-    const currentUser = await User.findById(currentUserId).select('following interests');
+    const followingIds = await Follow.getFollowingIds(currentUserId);
+    const blockedIds = await getBlockedUserIds(currentUserId);
 
     // Get users that current user is not following
     const suggestions = await User.find({
       _id: {
         $ne: currentUserId,
-        $nin: currentUser.following
+        $nin: [...followingIds, ...blockedIds]
       },
       isActive: true
     })
@@ -355,12 +651,737 @@ const getSuggestedUsers = async (req, res) => {
   }
 };
 
+// Turn a pending follow request into a follow edge
+const approveRequest = async (request) => {
+  const requester = await User.findById(request.requester).select('_id profileId');
+  if (requester) {
+    await Follow.follow(requester._id, request.target);
+
+    // The request is settled - clear it from the target's notifications and tell the requester
+    await retractNotification({ recipient: request.target, actor: requester._id, type: 'follow_request', target: request.target });
+    await notify({
+      recipient: requester._id,
+      actor: request.target,
+      type: 'follow_accept',
+      targetType: 'user',
+      target: request.target
+    });
+
+    userCache.del(`user:${requester._id}`);
+    userCache.del(`profile:${requester.profileId}`);
+  }
+
+  await request.deleteOne();
+};
+
+// @desc    Get pending follow requests (received, or sent with ?type=sent)
+// @route   GET /api/users/follow-requests
+// @access  Private
+const getFollowRequests = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const isSent = req.query.type === 'sent';
+
+    const filter = isSent ? { requester: currentUserId } : { target: currentUserId };
+
+    const requests = await FollowRequest.find(filter)
+      .populate(isSent ? 'target' : 'requester', 'name profileId profileImage isVerified')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await FollowRequest.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      requests,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve follow request
+// @route   POST /api/users/follow-requests/:id/approve
+// @access  Private
+const approveFollowRequest = async (req, res) => {
+  try {
+    const request = await FollowRequest.findOne({ _id: req.params.id, target: req.user._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+
+    await approveRequest(request);
+
+    // Clear cache
+    userCache.del(`user:${req.user._id}`);
+    userCache.del(`profile:${req.user.profileId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Follow request approved successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reject follow request
+// @route   POST /api/users/follow-requests/:id/reject
+// @access  Private
+const rejectFollowRequest = async (req, res) => {
+  try {
+    const request = await FollowRequest.findOneAndDelete({ _id: req.params.id, target: req.user._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+
+    await retractNotification({ recipient: req.user._id, actor: request.requester, type: 'follow_request', target: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Follow request rejected successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel a sent follow request
+// @route   DELETE /api/users/:profileId/follow-request
+// @access  Private
+const cancelFollowRequest = async (req, res) => {
+  try {
+    const target = await User.findOne({ profileId: req.params.profileId }).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const request = await FollowRequest.findOneAndDelete({ requester: req.user._id, target: target._id });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+
+    await retractNotification({ recipient: target._id, actor: req.user._id, type: 'follow_request', target: target._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Follow request cancelled successfully',
+      isRequested: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Shared list handler for blocked/muted users
+const listRelatedUsers = async (req, res, Model, ownerField, targetField, key) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const filter = { [ownerField]: req.user._id };
+
+  const relations = await Model.find(filter)
+    .populate(targetField, 'name profileId profileImage isVerified')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await Model.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    [key]: relations
+      .filter(relation => relation[targetField])
+      .map(relation => ({ ...relation[targetField], since: relation.createdAt })),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  });
+};
+
+// @desc    Block user
+// @route   POST /api/users/:profileId/block
+// @access  Private
+const blockUser = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (profileId === req.user.profileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const userToBlock = await User.findOne({ profileId });
+    if (!userToBlock) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Block.updateOne(
+      { blocker: currentUserId, blocked: userToBlock._id },
+      { $setOnInsert: { blocker: currentUserId, blocked: userToBlock._id } },
+      { upsert: true }
+    );
+
+    // Remove follow edges and pending requests in both directions
+    await Follow.unfollow(currentUserId, userToBlock._id);
+    await Follow.unfollow(userToBlock._id, currentUserId);
+
+    await FollowRequest.deleteMany({
+      $or: [
+        { requester: currentUserId, target: userToBlock._id },
+        { requester: userToBlock._id, target: currentUserId }
+      ]
+    });
+
+    await CloseFriend.deleteMany({
+      $or: [
+        { user: currentUserId, friend: userToBlock._id },
+        { user: userToBlock._id, friend: currentUserId }
+      ]
+    });
+
+    // Clear cache
+    userCache.del(`user:${currentUserId}`);
+    userCache.del(`user:${userToBlock._id}`);
+    userCache.del(`profile:${req.user.profileId}`);
+    userCache.del(`profile:${userToBlock.profileId}`);
+    postCache.flushAll();
+    storyCache.flushAll();
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked successfully',
+      isBlocked: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unblock user
+// @route   DELETE /api/users/:profileId/block
+// @access  Private
+const unblockUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ profileId: req.params.profileId }).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Block.deleteOne({ blocker: req.user._id, blocked: user._id });
+
+    // Clear cache
+    postCache.flushAll();
+    storyCache.flushAll();
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked successfully',
+      isBlocked: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get blocked users
+// @route   GET /api/users/blocked
+// @access  Private
+const getBlockedUsers = async (req, res) => {
+  try {
+    await listRelatedUsers(req, res, Block, 'blocker', 'blocked', 'users');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Mute user (hide their posts and stories without unfollowing)
+// @route   POST /api/users/:profileId/mute
+// @access  Private
+const muteUser = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (profileId === req.user.profileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot mute yourself'
+      });
+    }
+
+    const userToMute = await User.findOne({ profileId }).select('_id');
+    if (!userToMute) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Mute.updateOne(
+      { muter: currentUserId, muted: userToMute._id },
+      { $setOnInsert: { muter: currentUserId, muted: userToMute._id } },
+      { upsert: true }
+    );
+
+    // Clear cache
+    postCache.flushAll();
+    storyCache.del(`stories_feed:${currentUserId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User muted successfully',
+      isMuted: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unmute user
+// @route   DELETE /api/users/:profileId/mute
+// @access  Private
+const unmuteUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ profileId: req.params.profileId }).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Mute.deleteOne({ muter: req.user._id, muted: user._id });
+
+    // Clear cache
+    postCache.flushAll();
+    storyCache.del(`stories_feed:${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unmuted successfully',
+      isMuted: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get muted users
+// @route   GET /api/users/muted
+// @access  Private
+const getMutedUsers = async (req, res) => {
+  try {
+    await listRelatedUsers(req, res, Mute, 'muter', 'muted', 'users');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get your close friends list
+// @route   GET /api/users/me/close-friends
+// @access  Private
+const getCloseFriends = async (req, res) => {
+  try {
+    await listRelatedUsers(req, res, CloseFriend, 'user', 'friend', 'users');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Feeds cached for a user whose close friends access changed
+const clearFeedCachesFor = (userId) => {
+  cacheUtils.delByPrefix(postCache, `feed:${userId}:`);
+  storyCache.del(`stories_feed:${userId}`);
+};
+
+// @desc    Add user to your close friends list
+// @route   POST /api/users/me/close-friends/:profileId
+// @access  Private
+const addCloseFriend = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (profileId === req.user.profileId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot add yourself to close friends'
+      });
+    }
+
+    const friend = await User.findOne({ profileId, isActive: true }).select('_id');
+    if (!friend || await isBlockedBetween(currentUserId, friend._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await CloseFriend.updateOne(
+      { user: currentUserId, friend: friend._id },
+      { $setOnInsert: { user: currentUserId, friend: friend._id } },
+      { upsert: true }
+    );
+
+    clearFeedCachesFor(friend._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Added to close friends',
+      isCloseFriend: true
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove user from your close friends list
+// @route   DELETE /api/users/me/close-friends/:profileId
+// @access  Private
+const removeCloseFriend = async (req, res) => {
+  try {
+    const friend = await User.findOne({ profileId: req.params.profileId }).select('_id');
+    if (!friend) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await CloseFriend.deleteOne({ user: req.user._id, friend: friend._id });
+
+    clearFeedCachesFor(friend._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from close friends',
+      isCloseFriend: false
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const LIST_USER_FIELDS = 'name profileId profileImage profession isVerified';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const FOLLOW_EDGE_SORT = { createdAt: -1, _id: -1 };
+
+// Page through follow edges (newest first), returning the user on `userField`
+// of each edge. `pagination` comes from getPagination with FOLLOW_EDGE_SORT.
+const paginateFollowEdges = async (match, userField, pagination, { search, excludeIds = [] }) => {
+  const { limit } = pagination;
+  let edgeMatch = { ...match };
+
+  if (excludeIds.length > 0) {
+    edgeMatch[userField] = { ...edgeMatch[userField], $nin: excludeIds };
+  }
+
+  edgeMatch = applyCursor(edgeMatch, pagination);
+
+  const userMatch = { 'user.isActive': true };
+  if (search && search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
+    userMatch.$or = [{ 'user.name': searchRegex }, { 'user.profileId': searchRegex }];
+  }
+
+  const lookupStages = [
+    {
+      $lookup: {
+        from: 'users',
+        localField: userField,
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $match: userMatch }
+  ];
+
+  // Without a search the limit can be applied before joining users
+  const pipeline = [
+    { $match: edgeMatch },
+    { $sort: FOLLOW_EDGE_SORT },
+    ...(userMatch.$or ? [...lookupStages, { $limit: limit + 1 }] : [{ $limit: limit + 1 }, ...lookupStages])
+  ];
+
+  const edges = await Follow.aggregate(pipeline);
+  const hasNext = edges.length > limit;
+  const pageEdges = edges.slice(0, limit);
+
+  const fields = LIST_USER_FIELDS.split(' ');
+  const users = pageEdges.map(edge => ({
+    _id: edge.user._id,
+    ...Object.fromEntries(fields.map(field => [field, edge.user[field]])),
+    followedAt: edge.createdAt
+  }));
+
+  return {
+    users,
+    nextCursor: hasNext ? cursorAfter(FOLLOW_EDGE_SORT, pageEdges[pageEdges.length - 1]) : null,
+    hasNext
+  };
+};
+
+// Ids (as strings) among userIds that viewer follows
+const getFollowedAmong = async (viewerId, userIds) => {
+  if (!viewerId || userIds.length === 0) {
+    return new Set();
+  }
+
+  const edges = await Follow.find({ follower: viewerId, following: { $in: userIds } })
+    .select('following')
+    .lean();
+
+  return new Set(edges.map(edge => edge.following.toString()));
+};
+
+// Shared handler for followers/following lists
+const listConnections = async (req, res, type) => {
+  const { profileId } = req.params;
+  const { search } = req.query;
+  const pagination = getPagination(req.query, Follow, FOLLOW_EDGE_SORT);
+  const currentUserId = req.user?._id;
+
+  if (pagination.error) {
+    return res.status(400).json({
+      success: false,
+      message: pagination.error
+    });
+  }
+
+  const owner = await User.findOne({ profileId }).select('_id isPrivate').lean();
+  if (!owner) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!(await canViewContent(owner, currentUserId))) {
+    return res.status(403).json({
+      success: false,
+      message: 'This account is private'
+    });
+  }
+
+  // Followers are edges pointing at the owner; following are edges from the owner
+  const [match, userField] = type === 'followers'
+    ? [{ following: owner._id }, 'follower']
+    : [{ follower: owner._id }, 'following'];
+
+  const { users, nextCursor, hasNext } = await paginateFollowEdges(match, userField, pagination, {
+    search,
+    excludeIds: await getBlockedUserIds(currentUserId)
+  });
+
+  // Flag which listed users the viewer already follows
+  const viewerFollowing = await getFollowedAmong(currentUserId, users.map(user => user._id));
+
+  res.status(200).json({
+    success: true,
+    users: users.map(user => ({
+      ...user,
+      isFollowing: viewerFollowing.has(user._id.toString())
+    })),
+    pagination: {
+      nextCursor,
+      hasNext
+    }
+  });
+};
+
+// @desc    Get user's followers
+// @route   GET /api/users/:profileId/followers
+// @access  Public
+const getFollowers = async (req, res) => {
+  try {
+    await listConnections(req, res, 'followers');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get users a user is following
+// @route   GET /api/users/:profileId/following
+// @access  Public
+const getFollowing = async (req, res) => {
+  try {
+    await listConnections(req, res, 'following');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get followers of a user that the current user also follows
+// @route   GET /api/users/:profileId/mutuals
+// @access  Private
+const getMutualFollowers = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { search } = req.query;
+    const pagination = getPagination(req.query, Follow, FOLLOW_EDGE_SORT);
+    const currentUserId = req.user._id;
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const owner = await User.findOne({ profileId }).select('_id isPrivate').lean();
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canViewContent(owner, currentUserId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private'
+      });
+    }
+
+    const viewerFollowingIds = await Follow.getFollowingIds(currentUserId);
+    const match = { following: owner._id, follower: { $in: viewerFollowingIds } };
+
+    const { users, nextCursor, hasNext } = await paginateFollowEdges(match, 'follower', pagination, {
+      search,
+      excludeIds: await getBlockedUserIds(currentUserId)
+    });
+
+    const total = await Follow.countDocuments(match);
+
+    res.status(200).json({
+      success: true,
+      users: users.map(user => ({ ...user, isFollowing: true })),
+      total,
+      pagination: {
+        nextCursor,
+        hasNext
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getUserProfile,
   updateProfile,
+  getSettings,
+  updateSettings,
+  getMyMentions,
   toggleFollow,
   getUserPosts,
   searchUsers,
   getSuggestedUsers,
-  getCurrentUserProfile // Export the new function
+  getCurrentUserProfile, // Export the new function
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+  cancelFollowRequest,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+  getCloseFriends,
+  addCloseFriend,
+  removeCloseFriend,
+  getFollowers,
+  getFollowing,
+  getMutualFollowers
 };
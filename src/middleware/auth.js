@@ -1,8 +1,81 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { userCache } = require('../config/cache');
+const { getPermissions } = require('../config/roles');
+const { isSuspensionExpired, liftSuspension } = require('../utils/suspensions');
 
-const protect = async (req, res, next) => {
+// Resolve an access token to its user and session.
+// Resolves { user, sessionId }, or { error, status } when the token can't be used.
+// Suspended users are refused with code ACCOUNT_SUSPENDED unless allowSuspended is set.
+// Throws on malformed or expired tokens (see jwt.verify).
+const authenticateToken = async (token, { allowSuspended = false } = {}) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Make sure the session behind this token hasn't been revoked
+  const sessionActive = await isSessionActive(decoded.sid);
+  if (!sessionActive) {
+    return { error: { message: 'Session expired. Please log in again.' } };
+  }
+
+  // Check cache first
+  const cacheKey = `user:${decoded.id}`;
+  let user = userCache.get(cacheKey);
+
+  if (!user) {
+    // If not in cache, fetch from database
+    user = await User.findById(decoded.id)
+      .select('-phone')
+      .lean();
+
+    if (!user) {
+      return { error: { message: 'Invalid token. User not found.' } };
+    }
+
+    // Cache the user for future requests
+    userCache.set(cacheKey, user);
+  }
+
+  // Temporary suspensions end on their own; reinstate on the first request after
+  if (user.suspension?.record && isSuspensionExpired(user.suspension)) {
+    await liftSuspension(user.suspension.record, { liftReason: 'expired' });
+
+    user = await User.findById(decoded.id).select('-phone').lean();
+    if (!user) {
+      return { error: { message: 'Invalid token. User not found.' } };
+    }
+    userCache.set(cacheKey, user);
+  }
+
+  if (!user.isActive) {
+    if (!user.suspension?.record) {
+      return { error: { message: 'Account is deactivated.' } };
+    }
+
+    if (!allowSuspended) {
+      return {
+        status: 403,
+        error: {
+          code: 'ACCOUNT_SUSPENDED',
+          message: user.suspension.endsAt
+            ? 'Your account is suspended.'
+            : 'Your account has been permanently suspended.',
+          suspension: {
+            reason: user.suspension.reason,
+            endsAt: user.suspension.endsAt
+          }
+        }
+      };
+    }
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+// Require a valid access token. With allowSuspended, suspended users get
+// through too (used for the appeal routes).
+const createProtect = ({ allowSuspended = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -18,40 +91,27 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check cache first
-    const cacheKey = `user:${decoded.id}`;
-    let user = userCache.get(cacheKey);
-
-    if (!user) {
-      // If not in cache, fetch from database
-      user = await User.findById(decoded.id)
-        .select('-phone')
-        .lean();
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token. User not found.'
-        });
-      }
-
-      // Cache the user for future requests
-      userCache.set(cacheKey, user);
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({
+    const { user, sessionId, error, status } = await authenticateToken(token, { allowSuspended });
+    if (error) {
+      return res.status(status || 401).json({
         success: false,
-        message: 'Account is deactivated.'
+        ...error
       });
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      // Clients should use their refresh token to get a new access token
+      return res.status(401).json({
+        success: false,
+        code: 'TOKEN_EXPIRED',
+        message: 'Token expired.'
+      });
+    }
+
     console.error('Auth middleware error:', error);
     res.status(401).json({
       success: false,
@@ -60,13 +120,91 @@ const protect = async (req, res, next) => {
   }
 };
 
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+const protect = createProtect();
+const protectAllowSuspended = createProtect({ allowSuspended: true });
+
+// Authenticate if a token is provided, otherwise continue anonymously.
+// Expired, invalid or revoked tokens also continue anonymously, so public
+// content stays readable; suspended accounts are still refused.
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const { user, sessionId, error, status } = await authenticateToken(token);
+
+    if (error && status) {
+      return res.status(status).json({
+        success: false,
+        ...error
+      });
+    }
+
+    if (!error) {
+      req.user = user;
+      req.sessionId = sessionId;
+    }
+  } catch (error) {
+    // Malformed or expired token - carry on as a guest
+  }
+
+  next();
+};
+
+// Restrict a route to users holding every listed permission (use after protect)
+const authorize = (...permissions) => {
+  return (req, res, next) => {
+    const granted = getPermissions(req.user.roles);
+
+    if (!permissions.every(permission => granted.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+// Check (and briefly cache) that a session exists and is not revoked
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const cacheKey = `session:${sessionId}`;
+  if (userCache.get(cacheKey)) {
+    return true;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { lastUsedAt: new Date() }
+  ).select('_id').lean();
+
+  if (!session) {
+    return false;
+  }
+
+  userCache.set(cacheKey, true, 60); // 1 minute
+  return true;
+};
+
+// Short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m'
   });
 };
 
 module.exports = {
+  authenticateToken,
   protect,
+  protectAllowSuspended,
+  optionalAuth,
+  authorize,
   generateToken
 };
\ No newline at end of file
@@ -2,6 +2,10 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Direct message media is kept outside the public /uploads directory and
+// served to conversation participants only (GET /api/conversations/:id/media/:filename)
+const MESSAGE_MEDIA_DIR = 'private_uploads/messages';
+
 // Ensure upload directories exist
 const createUploadDirs = () => {
   const dirs = [
@@ -10,7 +14,8 @@ const createUploadDirs = () => {
     'uploads/posts',
     'uploads/stories',
     'uploads/services',
-    'uploads/advertisements'
+    'uploads/advertisements',
+    MESSAGE_MEDIA_DIR
   ];
 
   dirs.forEach(dir => {
@@ -38,6 +43,8 @@ const storage = multer.diskStorage({
       uploadPath += 'services/';
     } else if (req.route.path.includes('advertisement')) {
       uploadPath += 'advertisements/';
+    } else if (req.route.path.includes('message')) {
+      uploadPath = `${MESSAGE_MEDIA_DIR}/`;
     }
     
     cb(null, uploadPath);
@@ -124,6 +131,7 @@ const handleUploadError = (error, req, res, next) => {
 };
 
 module.exports = {
+  MESSAGE_MEDIA_DIR,
   uploadMiddleware,
   handleUploadError
 };
\ No newline at end of file
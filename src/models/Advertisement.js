@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 
 const advertisementSchema = new mongoose.Schema({
+  advertiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   title: {
     type: String,
     required: [true, 'Advertisement title is required'],
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const bannedWordSchema = new mongoose.Schema({
+  word: {
+    type: String,
+    required: [true, 'Word is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Word cannot exceed 50 characters']
+  },
+  locale: {
+    type: String,
+    enum: ['en', 'hi', 'hinglish'],
+    default: 'en'
+  },
+  // Overrides the default banned-word action for this word
+  action: {
+    type: String,
+    enum: ['reject', 'mask', 'hold'],
+    default: 'mask'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+bannedWordSchema.index({ word: 1, locale: 1 }, { unique: true });
+bannedWordSchema.index({ locale: 1, word: 1 });
+
+module.exports = mongoose.model('BannedWord', bannedWordSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model('Block', blockSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A user on someone's close friends list, who sees their close friends posts
+// and stories
+const closeFriendSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  friend: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+closeFriendSchema.index({ user: 1, friend: 1 }, { unique: true });
+closeFriendSchema.index({ friend: 1 });
+
+// Statics
+
+closeFriendSchema.statics.isCloseFriend = async function (userId, friendId) {
+  if (!userId || !friendId) {
+    return false;
+  }
+
+  return !!(await this.exists({ user: userId, friend: friendId }));
+};
+
+// Ids of users who have friendId on their close friends list
+closeFriendSchema.statics.getListedByIds = async function (friendId) {
+  const entries = await this.find({ friend: friendId }).select('user').lean();
+  return entries.map(entry => entry.user);
+};
+
+module.exports = mongoose.model('CloseFriend', closeFriendSchema);
@@ -18,15 +18,20 @@ const commentSchema = new mongoose.Schema({
     required: [true, 'Comment content is required'],
     maxlength: [1000, 'Comment cannot exceed 1000 characters']
   },
-  likes: [{
+  // @mentions in the content, with offsets into the text (see utils/mentions)
+  mentions: [{
+    _id: false,
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
+    profileId: String,
+    offset: Number,
+    length: Number
+  }],
+  // Normalized #hashtags from the content (see utils/hashtags)
+  hashtags: [{
+    type: String
   }],
   likesCount: {
     type: Number,
@@ -44,6 +49,11 @@ const commentSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when the author deletes it (isActive=false alone may be a moderator hide)
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -55,7 +65,6 @@ const commentSchema = new mongoose.Schema({
 commentSchema.index({ post: 1, createdAt: -1 });
 // commentSchema.index({ author: 1 });
 commentSchema.index({ parentComment: 1 });
-commentSchema.index({ 'likes.user': 1 });
 
 // Virtual for replies
 commentSchema.virtual('replies', {
@@ -65,48 +74,38 @@ commentSchema.virtual('replies', {
   options: { sort: { createdAt: 1 } }
 });
 
-// Methods
-commentSchema.methods.like = async function (userId) {
-  const existingLike = this.likes.find(like => like.user.toString() === userId.toString());
-
-  if (!existingLike) {
-    this.likes.push({ user: userId });
-    this.likesCount++;
-    await this.save();
-    return true; // Liked
+// Counts change when a comment is added, and when it is hidden or restored
+// later (soft delete, moderation); other saves such as edits don't count.
+// Comments held for review are counted once a moderator restores them.
+commentSchema.pre('save', function (next) {
+  if (this.isNew) {
+    this.$locals.countChange = this.isActive ? 1 : 0;
+  } else if (this.isModified('isActive')) {
+    this.$locals.countChange = this.isActive ? 1 : -1;
+  } else {
+    this.$locals.countChange = 0;
   }
-  return false; // Already liked
-};
-
-commentSchema.methods.unlike = async function (userId) {
-  const likeIndex = this.likes.findIndex(like => like.user.toString() === userId.toString());
-
-  if (likeIndex > -1) {
-    this.likes.splice(likeIndex, 1);
-    this.likesCount--;
-    await this.save();
-    return true; // Unliked
-  }
-  return false; // Not liked
-};
-
-commentSchema.methods.isLikedBy = function (userId) {
-  return this.likes.some(like => like.user.toString() === userId.toString());
-};
+  next();
+});
 
 // Update parent comment replies count
 commentSchema.post('save', async function () {
+  const change = this.$locals.countChange;
+  if (!change) {
+    return;
+  }
+
   if (this.parentComment) {
     await this.constructor.updateOne(
       { _id: this.parentComment },
-      { $inc: { repliesCount: 1 } }
+      { $inc: { repliesCount: change } }
     );
   }
 
   // Update post comments count
   await mongoose.model('Post').updateOne(
     { _id: this.post },
-    { $inc: { commentsCount: 1 } }
+    { $inc: { commentsCount: change } }
   );
 });
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    unreadCount: {
+      type: Number,
+      default: 0
+    },
+    lastReadAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Sorted participant ids - keeps a single conversation per pair of users
+  participantKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastMessage: {
+    _id: mongoose.Schema.Types.ObjectId,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    type: {
+      type: String,
+      enum: ['text', 'image', 'video']
+    },
+    text: String,
+    createdAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+conversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });
+
+// Statics
+conversationSchema.statics.getParticipantKey = function (userIds) {
+  return userIds.map(id => id.toString()).sort().join(':');
+};
+
+// Find the 1:1 conversation between two users, creating it if needed
+conversationSchema.statics.findOrCreateDirect = async function (userId, otherUserId) {
+  const participantKey = this.getParticipantKey([userId, otherUserId]);
+
+  try {
+    return await this.findOneAndUpdate(
+      { participantKey },
+      {
+        $setOnInsert: {
+          participantKey,
+          participants: [{ user: userId }, { user: otherUserId }],
+          lastMessageAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Lost an upsert race - the other request created it
+    if (error.code === 11000) {
+      return this.findOne({ participantKey });
+    }
+    throw error;
+  }
+};
+
+// Methods
+conversationSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some(participant => participant.user.toString() === userId.toString());
+};
+
+conversationSchema.methods.getOtherParticipantIds = function (userId) {
+  return this.participants
+    .map(participant => participant.user)
+    .filter(id => id.toString() !== userId.toString());
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
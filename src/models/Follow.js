@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { withTransaction } = require('../utils/transaction');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1, _id: -1 }); // Followers lists
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 }); // Following lists
+
+// Statics
+
+// Create a follow edge and bump both counters atomically.
+// Resolves true if a new edge was created.
+followSchema.statics.follow = async function (followerId, followingId) {
+  const User = mongoose.model('User');
+
+  try {
+    return await withTransaction(async (session) => {
+      const exists = await this.exists({ follower: followerId, following: followingId }).session(session);
+      if (exists) {
+        return false;
+      }
+
+      await this.create([{ follower: followerId, following: followingId }], { session });
+      await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } }, { session });
+      await User.updateOne({ _id: followingId }, { $inc: { followersCount: 1 } }, { session });
+      return true;
+    });
+  } catch (error) {
+    // A concurrent request created the same edge first
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Remove a follow edge and decrement both counters atomically.
+// Resolves true if an edge was removed.
+followSchema.statics.unfollow = async function (followerId, followingId) {
+  const User = mongoose.model('User');
+
+  return withTransaction(async (session) => {
+    const { deletedCount } = await this.deleteOne(
+      { follower: followerId, following: followingId },
+      { session }
+    );
+    if (deletedCount === 0) {
+      return false;
+    }
+
+    await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } }, { session });
+    await User.updateOne({ _id: followingId }, { $inc: { followersCount: -1 } }, { session });
+    return true;
+  });
+};
+
+followSchema.statics.isFollowing = async function (followerId, followingId) {
+  if (!followerId) {
+    return false;
+  }
+
+  return !!(await this.exists({ follower: followerId, following: followingId }));
+};
+
+// Ids of every user that userId follows
+followSchema.statics.getFollowingIds = async function (userId) {
+  const edges = await this.find({ follower: userId }).select('following').lean();
+  return edges.map(edge => edge.following);
+};
+
+module.exports = mongoose.model('Follow', followSchema);
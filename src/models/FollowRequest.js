@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const HashtagStat = require('./HashtagStat');
+
+// Usage stats are kept hourly so trending can look at any recent window
+const STATS_BUCKET_MS = 60 * 60 * 1000;
+
+const hashtagSchema = new mongoose.Schema({
+  // Lowercase, without the leading '#'
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Hashtag cannot exceed 50 characters']
+  },
+  postsCount: {
+    type: Number,
+    default: 0
+  },
+  commentsCount: {
+    type: Number,
+    default: 0
+  },
+  followersCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+hashtagSchema.index({ name: 1 }, { unique: true });
+hashtagSchema.index({ postsCount: -1 });
+
+// Statics
+
+// Count new uses of hashtags by a post or comment ('post' | 'comment').
+// Pass a negative delta when the content goes away; only new uses are
+// added to the hourly trending stats.
+hashtagSchema.statics.recordUsage = async function (names, source, delta = 1) {
+  if (!names || names.length === 0) {
+    return;
+  }
+
+  const counter = source === 'comment' ? 'commentsCount' : 'postsCount';
+  const now = new Date();
+
+  await this.bulkWrite(names.map(name => ({
+    updateOne: {
+      filter: { name },
+      update: delta > 0
+        ? { $inc: { [counter]: delta }, $set: { lastUsedAt: now } }
+        : { $inc: { [counter]: delta } },
+      upsert: delta > 0
+    }
+  })), { ordered: false });
+
+  if (delta > 0) {
+    const bucket = new Date(Math.floor(now.getTime() / STATS_BUCKET_MS) * STATS_BUCKET_MS);
+
+    await HashtagStat.bulkWrite(names.map(name => ({
+      updateOne: {
+        filter: { hashtag: name, bucket },
+        update: { $inc: { count: delta } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+};
+
+module.exports = mongoose.model('Hashtag', hashtagSchema);
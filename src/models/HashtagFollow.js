@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { withTransaction } = require('../utils/transaction');
+
+const hashtagFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hashtag name (see Hashtag.name)
+  hashtag: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+hashtagFollowSchema.index({ user: 1, hashtag: 1 }, { unique: true });
+hashtagFollowSchema.index({ user: 1, createdAt: -1 });
+
+// Statics
+
+// Follow a hashtag and bump its followers count atomically.
+// Resolves true if a new follow was created.
+hashtagFollowSchema.statics.follow = async function (userId, name) {
+  const Hashtag = mongoose.model('Hashtag');
+
+  try {
+    return await withTransaction(async (session) => {
+      const exists = await this.exists({ user: userId, hashtag: name }).session(session);
+      if (exists) {
+        return false;
+      }
+
+      await this.create([{ user: userId, hashtag: name }], { session });
+      await Hashtag.updateOne({ name }, { $inc: { followersCount: 1 } }, { session });
+      return true;
+    });
+  } catch (error) {
+    // A concurrent request created the same follow first
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Unfollow a hashtag and decrement its followers count atomically.
+// Resolves true if a follow was removed.
+hashtagFollowSchema.statics.unfollow = async function (userId, name) {
+  const Hashtag = mongoose.model('Hashtag');
+
+  return withTransaction(async (session) => {
+    const { deletedCount } = await this.deleteOne({ user: userId, hashtag: name }, { session });
+    if (deletedCount === 0) {
+      return false;
+    }
+
+    await Hashtag.updateOne({ name }, { $inc: { followersCount: -1 } }, { session });
+    return true;
+  });
+};
+
+// Names of every hashtag userId follows
+hashtagFollowSchema.statics.getFollowedNames = async function (userId) {
+  const follows = await this.find({ user: userId }).select('hashtag').lean();
+  return follows.map(follow => follow.hashtag);
+};
+
+module.exports = mongoose.model('HashtagFollow', hashtagFollowSchema);
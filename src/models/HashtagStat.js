@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Hourly usage count of a hashtag (see Hashtag.recordUsage)
+const hashtagStatSchema = new mongoose.Schema({
+  hashtag: {
+    type: String,
+    required: true
+  },
+  // Start of the hour
+  bucket: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Indexes for performance
+hashtagStatSchema.index({ hashtag: 1, bucket: 1 }, { unique: true });
+hashtagStatSchema.index({ bucket: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days
+
+module.exports = mongoose.model('HashtagStat', hashtagStatSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { withTransaction } = require('../utils/transaction');
+
+// Models that can be liked, keyed by targetType
+const TARGET_MODELS = {
+  post: 'Post',
+  comment: 'Comment'
+};
+
+const likeSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: Object.keys(TARGET_MODELS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+likeSchema.index({ targetType: 1, target: 1, user: 1 }, { unique: true });
+likeSchema.index({ targetType: 1, target: 1, createdAt: -1 }); // Likers lists
+likeSchema.index({ user: 1, targetType: 1, createdAt: -1 });
+
+// Statics
+
+// Record a like and increment the target's likesCount atomically.
+// Resolves the new likesCount, or null if the user had already liked it.
+likeSchema.statics.like = async function (targetType, targetId, userId) {
+  const Target = mongoose.model(TARGET_MODELS[targetType]);
+
+  try {
+    return await withTransaction(async (session) => {
+      const exists = await this.exists({ targetType, target: targetId, user: userId }).session(session);
+      if (exists) {
+        return null;
+      }
+
+      await this.create([{ targetType, target: targetId, user: userId }], { session });
+      const target = await Target.findByIdAndUpdate(
+        targetId,
+        { $inc: { likesCount: 1 } },
+        { new: true, session }
+      ).select('likesCount');
+      return target.likesCount;
+    });
+  } catch (error) {
+    // A concurrent request recorded the same like first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Remove a like and decrement the target's likesCount atomically.
+// Resolves the new likesCount, or null if the user hadn't liked it.
+likeSchema.statics.unlike = async function (targetType, targetId, userId) {
+  const Target = mongoose.model(TARGET_MODELS[targetType]);
+
+  return withTransaction(async (session) => {
+    const { deletedCount } = await this.deleteOne(
+      { targetType, target: targetId, user: userId },
+      { session }
+    );
+    if (deletedCount === 0) {
+      return null;
+    }
+
+    const target = await Target.findByIdAndUpdate(
+      targetId,
+      { $inc: { likesCount: -1 } },
+      { new: true, session }
+    ).select('likesCount');
+    return target.likesCount;
+  });
+};
+
+likeSchema.statics.isLiked = async function (targetType, targetId, userId) {
+  if (!userId) {
+    return false;
+  }
+
+  return !!(await this.exists({ targetType, target: targetId, user: userId }));
+};
+
+// Ids (as strings) among targetIds that userId has liked
+likeSchema.statics.getLikedIds = async function (targetType, targetIds, userId) {
+  if (!userId || targetIds.length === 0) {
+    return new Set();
+  }
+
+  const likes = await this.find({ targetType, target: { $in: targetIds }, user: userId })
+    .select('target')
+    .lean();
+
+  return new Set(likes.map(like => like.target.toString()));
+};
+
+module.exports = mongoose.model('Like', likeSchema);
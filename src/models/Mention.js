@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A user tagged with @profileId in a post, comment or story
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Author of the content
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'story'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Post the comment belongs to (comments only)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+mentionSchema.index({ targetType: 1, target: 1, user: 1 }, { unique: true });
+mentionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Mention', mentionSchema);
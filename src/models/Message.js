@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'image', 'video'],
+    default: 'text'
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  media: [{
+    type: {
+      type: String,
+      enum: ['image', 'video'],
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    thumbnail: String // For videos
+  }],
+  // Story this message replies to
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story'
+  },
+  readBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+messageSchema.index({ conversation: 1, _id: -1 }); // History, newest first
+
+// Statics
+
+// Save a message from senderId and update the conversation's preview and
+// everyone else's unread count
+messageSchema.statics.sendToConversation = async function (conversation, senderId, fields) {
+  const message = await this.create({
+    ...fields,
+    conversation: conversation._id,
+    sender: senderId,
+    readBy: [{ user: senderId }]
+  });
+
+  await mongoose.model('Conversation').updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          _id: message._id,
+          sender: senderId,
+          type: message.type,
+          text: message.text,
+          createdAt: message.createdAt
+        },
+        lastMessageAt: message.createdAt
+      },
+      $inc: { 'participants.$[other].unreadCount': 1 }
+    },
+    { arrayFilters: [{ 'other.user': { $ne: senderId } }] }
+  );
+
+  return message;
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of moderation decisions
+const moderationLogSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['assign', 'hide', 'restore', 'warn', 'suspend', 'unsuspend', 'dismiss', 'appeal_approved', 'appeal_rejected'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'story', 'service', 'advertisement', 'user'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // User affected by the decision (content owner)
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  note: {
+    type: String,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ moderator: 1, createdAt: -1 });
+moderationLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+moderationLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
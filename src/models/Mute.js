@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const muteSchema = new mongoose.Schema({
+  muter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  muted: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+muteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+
+module.exports = mongoose.model('Mute', muteSchema);
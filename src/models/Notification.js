@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// How many of the most recent actors are kept on an aggregated notification
+const MAX_ACTORS = 10;
+
+const NOTIFICATION_TYPES = [
+  'post_like',      // target: post
+  'comment_like',   // target: comment
+  'comment',        // target: post
+  'reply',          // target: parent comment
+  'follow',         // target: recipient
+  'follow_request', // target: recipient
+  'follow_accept',  // target: user who accepted
+  'story_view',     // target: story
+  'mention'         // target: post, comment or story the mention is in
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'story', 'user'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  // Similar events for the same target are grouped into one notification
+  groupKey: {
+    type: String,
+    required: true
+  },
+  // Most recent actors first, capped at MAX_ACTORS
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Every actor in the group, oldest first (actors above is only for display)
+  actorIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false
+  },
+  actorsCount: {
+    type: Number,
+    default: 1
+  },
+  preview: {
+    type: String,
+    maxlength: 150
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, lastActivityAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+// At most one unread notification per group - new events are folded into it
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { isRead: false } }
+);
+
+// Statics
+
+// Record an event, folding it into the recipient's unread notification for
+// the same group when there is one. Resolves the saved notification.
+notificationSchema.statics.record = async function ({ recipient, actor, type, targetType, target, post, preview }) {
+  const groupKey = `${type}:${target}`;
+  const filter = { recipient, groupKey, isRead: false };
+  const update = { lastActivityAt: new Date() };
+  if (preview) {
+    update.preview = preview.slice(0, 150);
+  }
+
+  // New actor for the group
+  let notification = await this.findOneAndUpdate(
+    { ...filter, actorIds: { $ne: actor } },
+    {
+      $set: update,
+      $push: {
+        actors: { $each: [actor], $position: 0, $slice: MAX_ACTORS },
+        actorIds: actor
+      },
+      $inc: { actorsCount: 1 }
+    },
+    { new: true }
+  );
+
+  // Actor already part of the group - just bump it
+  if (!notification) {
+    notification = await this.findOneAndUpdate(filter, { $set: update }, { new: true });
+  }
+
+  if (!notification) {
+    try {
+      notification = await this.create({
+        recipient, type, targetType, target, post, groupKey, preview: update.preview, actors: [actor], actorIds: [actor]
+      });
+    } catch (error) {
+      // A concurrent event created the group first
+      if (error.code === 11000) {
+        return this.record({ recipient, actor, type, targetType, target, post, preview });
+      }
+      throw error;
+    }
+  }
+
+  return notification;
+};
+
+// Take an actor back out of a group (unlike, unfollow, cancelled request),
+// deleting the notification when nobody is left
+notificationSchema.statics.retract = async function ({ recipient, actor, type, target }) {
+  const notification = await this.findOneAndUpdate(
+    { recipient, groupKey: `${type}:${target}`, actorIds: actor },
+    { $pull: { actors: actor, actorIds: actor }, $inc: { actorsCount: -1 } },
+    { new: true, sort: { lastActivityAt: -1 } }
+  ).select('+actorIds');
+
+  if (!notification) {
+    return;
+  }
+
+  if (notification.actorsCount <= 0 || notification.actorIds.length === 0) {
+    await notification.deleteOne();
+    return;
+  }
+
+  // Fill the shown actors back up from the rest of the group, newest first
+  if (notification.actors.length < Math.min(notification.actorIds.length, MAX_ACTORS)) {
+    notification.actors = notification.actorIds.slice(-MAX_ACTORS).reverse();
+    await notification.save();
+  }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// OTP policy (overridable through environment variables)
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS) || 300; // 5 minutes
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_SENDS_PER_WINDOW = parseInt(process.env.OTP_MAX_SENDS_PER_WINDOW) || 5;
+const OTP_SEND_WINDOW_SECONDS = parseInt(process.env.OTP_SEND_WINDOW_SECONDS) || 3600; // 1 hour
+const OTP_LOCKOUT_SECONDS = parseInt(process.env.OTP_LOCKOUT_SECONDS) || 1800; // 30 minutes
+
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Purge stale records a day after their last activity
+otpSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 86400 });
+
+const hashCode = (phone, code) => {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${phone}:${code}`)
+    .digest('hex');
+};
+
+// Statics
+otpSchema.statics.generateCode = function () {
+  const max = 10 ** OTP_LENGTH;
+  return crypto.randomInt(0, max).toString().padStart(OTP_LENGTH, '0');
+};
+
+// Methods
+otpSchema.methods.isLocked = function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// Seconds until the caller may request a new code (0 if allowed now)
+otpSchema.methods.getRetryAfter = function () {
+  const now = Date.now();
+
+  if (this.isLocked()) {
+    return Math.ceil((this.lockedUntil - now) / 1000);
+  }
+
+  if (this.lastSentAt) {
+    const cooldownEnds = this.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+    if (cooldownEnds > now) {
+      return Math.ceil((cooldownEnds - now) / 1000);
+    }
+  }
+
+  return 0;
+};
+
+// Fields changed by issue(), kept so a send that fails can be undone
+const ISSUE_FIELDS = ['codeHash', 'expiresAt', 'attempts', 'sendCount', 'windowStartedAt', 'lastSentAt', 'lockedUntil'];
+
+// Issue a fresh code, returning the plain value for delivery
+otpSchema.methods.issue = function () {
+  const now = new Date();
+  this.$locals.beforeIssue = Object.fromEntries(ISSUE_FIELDS.map(field => [field, this[field]]));
+
+  // Start a new send window if the previous one (or a lockout) has elapsed
+  if (this.lockedUntil || now - this.windowStartedAt > OTP_SEND_WINDOW_SECONDS * 1000) {
+    this.lockedUntil = null;
+    this.windowStartedAt = now;
+    this.sendCount = 0;
+  }
+
+  if (this.sendCount >= OTP_MAX_SENDS_PER_WINDOW) {
+    this.lock();
+    return null;
+  }
+
+  const code = this.constructor.generateCode();
+
+  this.codeHash = hashCode(this.phone, code);
+  this.expiresAt = new Date(now.getTime() + OTP_TTL_SECONDS * 1000);
+  this.attempts = 0;
+  this.sendCount++;
+  this.lastSentAt = now;
+
+  return code;
+};
+
+// Put back the code and send window from before the last issue(), for a
+// code that couldn't be delivered
+otpSchema.methods.undoIssue = function () {
+  if (this.$locals.beforeIssue) {
+    this.set(this.$locals.beforeIssue);
+    this.$locals.beforeIssue = null;
+  }
+};
+
+otpSchema.methods.lock = function () {
+  this.lockedUntil = new Date(Date.now() + OTP_LOCKOUT_SECONDS * 1000);
+  this.codeHash = null;
+  this.expiresAt = null;
+};
+
+// Check a code submitted for phone, consuming it on success and counting
+// failures. Each step is a single conditional update, so parallel guesses
+// can't go past OTP_MAX_ATTEMPTS and a code can only be redeemed once.
+// Resolves { result: 'valid' | 'invalid' | 'locked' | 'expired', otpRecord }.
+otpSchema.statics.verifyCode = async function (phone, code) {
+  const now = new Date();
+  const usable = {
+    phone,
+    codeHash: { $ne: null },
+    expiresAt: { $gt: now },
+    attempts: { $lt: OTP_MAX_ATTEMPTS },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  const consumed = await this.findOneAndUpdate(
+    { ...usable, codeHash: hashCode(phone, String(code)) },
+    { $set: { codeHash: null, expiresAt: null, attempts: 0 } },
+    { new: true }
+  );
+  if (consumed) {
+    return { result: 'valid', otpRecord: consumed };
+  }
+
+  const otpRecord = await this.findOneAndUpdate(usable, { $inc: { attempts: 1 } }, { new: true });
+  if (!otpRecord) {
+    // No usable code: locked (or about to be, by a parallel guess), expired
+    // or never sent
+    const current = await this.findOne({ phone });
+    const isLocked = !!current &&
+      (current.isLocked() || (!!current.codeHash && current.attempts >= OTP_MAX_ATTEMPTS));
+    return { result: isLocked ? 'locked' : 'expired', otpRecord: current };
+  }
+
+  if (otpRecord.attempts >= OTP_MAX_ATTEMPTS) {
+    otpRecord.lock();
+    await otpRecord.save();
+    return { result: 'locked', otpRecord };
+  }
+
+  return { result: 'invalid', otpRecord };
+};
+
+otpSchema.methods.getAttemptsRemaining = function () {
+  return Math.max(0, OTP_MAX_ATTEMPTS - this.attempts);
+};
+
+module.exports = mongoose.model('Otp', otpSchema);
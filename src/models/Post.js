@@ -24,16 +24,6 @@ const postSchema = new mongoose.Schema({
     thumbnail: String, // For videos
     duration: Number // For videos in seconds
   }],
-  likes: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   likesCount: {
     type: Number,
     default: 0
@@ -50,6 +40,21 @@ const postSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // @mentions in the caption, with offsets into the text (see utils/mentions)
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    profileId: String,
+    offset: Number,
+    length: Number
+  }],
+  // Normalized hashtags from the caption and tags (see utils/hashtags)
+  hashtags: [{
+    type: String
+  }],
   location: {
     name: String,
     coordinates: {
@@ -57,9 +62,11 @@ const postSchema = new mongoose.Schema({
       longitude: Number
     }
   },
+  // Who can see the post: everyone, the author's followers, the author's
+  // close friends list, or only the author
   visibility: {
     type: String,
-    enum: ['public', 'private'],
+    enum: ['public', 'followers', 'close_friends', 'private'],
     default: 'public'
   },
   commentsEnabled: {
@@ -69,6 +76,72 @@ const postSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when the author deletes it (isActive=false alone may be a moderator hide)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Drafts and scheduled posts are only visible to their author and stay
+  // inactive until published (see utils/scheduledPosts)
+  status: {
+    type: String,
+    enum: ['published', 'draft', 'scheduled'],
+    default: 'published'
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  // Archived posts are hidden (inactive) until the author unarchives them
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Pinned to the top of the author's profile
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  // "Edited" marker shown with the post
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // Previous versions, oldest first (author only - see GET /api/posts/:id/history)
+  editHistory: {
+    type: [{
+      caption: String,
+      tags: [String],
+      location: {
+        name: String,
+        coordinates: {
+          latitude: Number,
+          longitude: Number
+        }
+      },
+      visibility: String,
+      commentsEnabled: Boolean,
+      media: [{
+        type: { type: String },
+        url: String,
+        thumbnail: String,
+        duration: Number
+      }],
+      // When this version was replaced by an edit
+      replacedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
   }
 }, {
   timestamps: true,
@@ -80,7 +153,13 @@ const postSchema = new mongoose.Schema({
 postSchema.index({ createdAt: -1 });
 postSchema.index({ likesCount: -1, commentsCount: -1 }); // For trending posts
 postSchema.index({ tags: 1 });
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ hashtags: 1, likesCount: -1, commentsCount: -1 });
 postSchema.index({ visibility: 1 });
+postSchema.index({ status: 1, scheduledAt: 1 }); // For the post scheduler
+postSchema.index({ author: 1, status: 1, updatedAt: -1 });
+postSchema.index({ author: 1, isArchived: 1, archivedAt: -1 });
+postSchema.index({ author: 1, pinnedAt: -1 });
 
 // Virtual for comments
 postSchema.virtual('comments', {
@@ -90,33 +169,4 @@ postSchema.virtual('comments', {
   options: { sort: { createdAt: -1 } }
 });
 
-// Methods
-postSchema.methods.like = async function (userId) {
-  const existingLike = this.likes.find(like => like.user.toString() === userId.toString());
-
-  if (!existingLike) {
-    this.likes.push({ user: userId });
-    this.likesCount++;
-    await this.save();
-    return true; // Liked
-  }
-  return false; // Already liked
-};
-
-postSchema.methods.unlike = async function (userId) {
-  const likeIndex = this.likes.findIndex(like => like.user.toString() === userId.toString());
-
-  if (likeIndex > -1) {
-    this.likes.splice(likeIndex, 1);
-    this.likesCount--;
-    await this.save();
-    return true; // Unliked
-  }
-  return false; // Not liked
-};
-
-postSchema.methods.isLikedBy = function (userId) {
-  return this.likes.some(like => like.user.toString() === userId.toString());
-};
-
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'nudity',
+  'violence',
+  'false_information',
+  'scam',
+  'intellectual_property',
+  'self_harm',
+  'impersonation',
+  'other'
+];
+
+const reportSchema = new mongoose.Schema({
+  // 'filter' reports are raised by the automated text filter and have no reporter
+  source: {
+    type: String,
+    enum: ['user', 'filter'],
+    default: 'user'
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () {
+      return this.source === 'user';
+    }
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'story', 'service', 'advertisement', 'user'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author/owner of the reported content (the user themselves for profile reports)
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  // Text filter rules that matched (filter reports only)
+  flags: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: ['hide', 'warn', 'suspend', 'dismiss']
+    },
+    note: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+reportSchema.index({ status: 1, createdAt: 1 }); // Queue, oldest first
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
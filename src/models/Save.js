@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A post bookmarked by a user, optionally filed into collections
+const saveSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SaveCollection'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+saveSchema.index({ user: 1, post: 1 }, { unique: true });
+saveSchema.index({ user: 1, createdAt: -1 });
+saveSchema.index({ user: 1, collections: 1, createdAt: -1 });
+
+// Statics
+
+saveSchema.statics.isSaved = async function (postId, userId) {
+  if (!userId) {
+    return false;
+  }
+
+  return !!(await this.exists({ user: userId, post: postId }));
+};
+
+// Ids (as strings) among postIds that userId has saved
+saveSchema.statics.getSavedIds = async function (postIds, userId) {
+  if (!userId || postIds.length === 0) {
+    return new Set();
+  }
+
+  const saves = await this.find({ user: userId, post: { $in: postIds } })
+    .select('post')
+    .lean();
+
+  return new Set(saves.map(save => save.post.toString()));
+};
+
+module.exports = mongoose.model('Save', saveSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A named, private group of saved posts
+const saveCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [50, 'Collection name cannot exceed 50 characters']
+  },
+  // Display order, lowest first
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+saveCollectionSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+saveCollectionSchema.index({ user: 1, position: 1 });
+
+module.exports = mongoose.model('SaveCollection', saveCollectionSchema);
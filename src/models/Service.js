@@ -128,6 +128,11 @@ const serviceSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the author deletes it (isActive=false alone may be a moderator hide)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   isFeatured: {
     type: Boolean,
     default: false
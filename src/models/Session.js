@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // Push notification token (FCM/APNs) registered by the device behind this session
+  pushToken: {
+    type: String,
+    default: null
+  },
+  pushPlatform: {
+    type: String,
+    enum: ['fcm', 'apns', null],
+    default: null
+  },
+  pushTokenUpdatedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ pushToken: 1 }, { sparse: true });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Statics
+sessionSchema.statics.createForUser = async function (userId, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashSecret(secret),
+    deviceName: req.body.deviceName || req.headers['x-device-name'],
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return {
+    session,
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Split a refresh token into its session id and secret parts
+sessionSchema.statics.parseRefreshToken = function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Methods
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.matchesSecret = function (secret) {
+  const expected = Buffer.from(this.refreshTokenHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Replace the refresh secret, returning the new refresh token. Only the
+// secret this session was loaded with can be replaced, so of two refreshes
+// racing with the same token just one wins; the other resolves null.
+sessionSchema.methods.rotate = async function (req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || this.userAgent,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+
+  return rotated ? `${this._id}.${secret}` : null;
+};
+
+sessionSchema.methods.revoke = async function () {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    await this.save();
+  }
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -24,6 +24,24 @@ const storySchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Story caption cannot exceed 200 characters']
   },
+  // @mentions in the caption, with offsets into the text (see utils/mentions)
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    profileId: String,
+    offset: Number,
+    length: Number
+  }],
+  // Who can see the story: anyone who can see the author's profile, or only
+  // the author's close friends list
+  visibility: {
+    type: String,
+    enum: ['public', 'close_friends'],
+    default: 'public'
+  },
   views: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -42,6 +60,11 @@ const storySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the author deletes it (isActive=false alone may be a moderator hide)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   expiresAt: {
     type: Date,
     default: () => new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours from creation
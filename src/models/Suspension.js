@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// One suspension of an account. The user's current suspension is mirrored on
+// User.suspension so auth checks don't need an extra query.
+const suspensionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'spam',
+      'harassment',
+      'hate_speech',
+      'nudity',
+      'violence',
+      'scam',
+      'impersonation',
+      'repeated_violations',
+      'other'
+    ],
+    required: [true, 'Reason is required']
+  },
+  // Shown to the suspended user
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  // null = permanent ban
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  liftReason: {
+    type: String,
+    enum: ['expired', 'appeal', 'moderator', 'superseded', null],
+    default: null
+  },
+  // At most one appeal per suspension
+  appeal: {
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Appeal cannot exceed 2000 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', null],
+      default: null
+    },
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+suspensionSchema.index({ user: 1, createdAt: -1 });
+suspensionSchema.index({ liftedAt: 1, endsAt: 1 }); // Expiry sweep
+suspensionSchema.index({ 'appeal.status': 1, 'appeal.submittedAt': 1 });
+
+module.exports = mongoose.model('Suspension', suspensionSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+
+// Audiences for interaction settings
+const AUDIENCES = ['everyone', 'followers', 'nobody'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -77,14 +81,33 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  followers: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  following: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  settings: {
+    // Who can interact with this user: 'everyone', 'followers' or 'nobody'
+    comments: { type: String, enum: AUDIENCES, default: 'everyone' },
+    mentions: { type: String, enum: AUDIENCES, default: 'everyone' },
+    messages: { type: String, enum: AUDIENCES, default: 'everyone' },
+    storyReplies: { type: String, enum: AUDIENCES, default: 'everyone' },
+    showActivityStatus: { type: Boolean, default: true }
+  },
+  notificationPreferences: {
+    push: { type: Boolean, default: true }, // Master switch for push notifications
+    likes: { type: Boolean, default: true },
+    comments: { type: Boolean, default: true },
+    follows: { type: Boolean, default: true },
+    storyViews: { type: Boolean, default: true },
+    mentions: { type: Boolean, default: true },
+    // No pushes between start and end (HH:mm, local to timezone)
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00', match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be in HH:mm format'] },
+      end: { type: String, default: '07:00', match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours must be in HH:mm format'] },
+      timezone: { type: String, default: 'Asia/Kolkata' }
+    }
+  },
   followersCount: {
     type: Number,
     default: 0
@@ -101,10 +124,42 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: ['user']
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Moderator warnings (see /api/admin/reports)
+  warningsCount: {
+    type: Number,
+    default: 0
+  },
+  lastWarnedAt: {
+    type: Date
+  },
+  // Current suspension (see Suspension model). isActive is false while it lasts.
+  suspension: {
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Suspension',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    // null = permanent
+    endsAt: {
+      type: Date,
+      default: null
+    }
+  },
   lastSeen: {
     type: Date,
     default: Date.now
@@ -120,6 +175,7 @@ userSchema.index({ phone: 1 }, { unique: true });
 userSchema.index({ profileId: 1 }, { unique: true, sparse: true });
 userSchema.index({ email: 1 }, { unique: true, sparse: true });
 userSchema.index({ followersCount: -1 }); // For trending users
+userSchema.index({ roles: 1 });
 userSchema.index({ name: 'text', profileId: 'text', profession: 'text' }); // For search
 
 // Virtual for posts
@@ -136,42 +192,6 @@ userSchema.methods.toJSON = function () {
   return userObject;
 };
 
-userSchema.methods.follow = async function (userId) {
-  if (!this.following.includes(userId)) {
-    this.following.push(userId);
-    this.followingCount++;
-    await this.save();
-
-    // Update follower's followers list
-    const userToFollow = await this.constructor.findById(userId);
-    if (userToFollow && !userToFollow.followers.includes(this._id)) {
-      userToFollow.followers.push(this._id);
-      userToFollow.followersCount++;
-      await userToFollow.save();
-    }
-  }
-};
-
-userSchema.methods.unfollow = async function (userId) {
-  const followingIndex = this.following.indexOf(userId);
-  if (followingIndex > -1) {
-    this.following.splice(followingIndex, 1);
-    this.followingCount--;
-    await this.save();
-
-    // Update follower's followers list
-    const userToUnfollow = await this.constructor.findById(userId);
-    if (userToUnfollow) {
-      const followerIndex = userToUnfollow.followers.indexOf(this._id);
-      if (followerIndex > -1) {
-        userToUnfollow.followers.splice(followerIndex, 1);
-        userToUnfollow.followersCount--;
-        await userToUnfollow.save();
-      }
-    }
-  }
-};
-
 // Pre-save middleware to handle unique constraints
 userSchema.pre('save', function (next) {
   // If profileId is empty string, set it to null for sparse index
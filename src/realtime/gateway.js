@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { authenticateToken } = require('../middleware/auth');
+const { userCache } = require('../config/cache');
+const { getBlockedUserIds } = require('../utils/privacy');
+const { createMemoryAdapter } = require('./pubsub');
+
+// Frames in both directions are JSON: { "event": "...", "data": { ... } }
+//
+// Client -> server events:
+//   typing              { conversationId, isTyping }
+//   presence:subscribe  { userIds: [...] }
+//   presence:unsubscribe{ userIds: [...] }
+//
+// Server -> client events:
+//   ready, message:new, message:read, typing, notification, presence, error
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const MAX_PRESENCE_SUBSCRIPTIONS = 200;
+const INSTANCE_ID = crypto.randomUUID();
+
+let adapter = createMemoryAdapter();
+let wss = null;
+
+const localSockets = new Map(); // userId -> Set<WebSocket> connected to this instance
+const onlineUsers = new Map(); // userId -> Set<instanceId> holding a connection
+const presenceWatchers = new Map(); // watched userId -> Set<WebSocket>
+const hiddenUsers = new Set(); // online users who turned off their activity status
+
+const send = (ws, event, data) => {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ event, data }));
+  }
+};
+
+// Replace the pub/sub adapter (call before initRealtime)
+const setPubSubAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+// Push an event to every connection of the given users, on any instance
+const emitToUsers = (userIds, event, data) => {
+  const ids = userIds.map(id => id.toString());
+  if (ids.length === 0) return;
+
+  adapter.publish('user-events', { userIds: ids, event, data }).catch(error => {
+    console.error('Realtime publish error:', error);
+  });
+};
+
+const emitToUser = (userId, event, data) => emitToUsers([userId], event, data);
+
+const isOnline = (userId) => onlineUsers.has(userId.toString());
+
+const notifyWatchers = (userId, presence) => {
+  (presenceWatchers.get(userId) || []).forEach(ws => send(ws, 'presence', { userId, ...presence }));
+};
+
+const publishPresence = (userId, online, lastSeen, hidden) => {
+  adapter.publish('presence', { userId, instanceId: INSTANCE_ID, online, lastSeen, hidden }).catch(error => {
+    console.error('Realtime presence publish error:', error);
+  });
+};
+
+// Show or hide a user's activity status after they change their settings
+const setPresenceVisibility = (userId, visible) => {
+  adapter.publish('presence-visibility', { userId: userId.toString(), hidden: !visible }).catch(error => {
+    console.error('Realtime presence publish error:', error);
+  });
+};
+
+const handleVisibility = ({ userId, hidden }) => {
+  (localSockets.get(userId) || []).forEach(ws => {
+    ws.hidden = hidden;
+  });
+
+  // Offline users are only tracked again once they connect
+  if (!isOnline(userId) || hiddenUsers.has(userId) === hidden) return;
+
+  if (hidden) {
+    hiddenUsers.add(userId);
+  } else {
+    hiddenUsers.delete(userId);
+  }
+
+  notifyWatchers(userId, { online: !hidden, lastSeen: null });
+};
+
+const handlePresence = ({ userId, instanceId, online, lastSeen, hidden }) => {
+  const wasOnline = isOnline(userId);
+
+  if (online && hidden) {
+    hiddenUsers.add(userId);
+  }
+
+  const instances = onlineUsers.get(userId) || new Set();
+
+  if (online) {
+    instances.add(instanceId);
+    onlineUsers.set(userId, instances);
+  } else {
+    instances.delete(instanceId);
+    if (instances.size === 0) {
+      onlineUsers.delete(userId);
+    }
+  }
+
+  if (wasOnline !== isOnline(userId) && !hiddenUsers.has(userId)) {
+    notifyWatchers(userId, { online: isOnline(userId), lastSeen });
+  }
+
+  if (!isOnline(userId)) {
+    hiddenUsers.delete(userId);
+  }
+};
+
+const handleUserEvent = ({ userIds, event, data }) => {
+  userIds.forEach(userId => {
+    (localSockets.get(userId) || []).forEach(ws => send(ws, event, data));
+  });
+};
+
+// Client event handlers
+const clientEvents = {
+  typing: async (ws, { conversationId, isTyping }) => {
+    const conversation = await Conversation.findById(conversationId).select('participants.user').lean();
+    const participantIds = conversation ? conversation.participants.map(p => p.user.toString()) : [];
+
+    if (!participantIds.includes(ws.userId)) {
+      return send(ws, 'error', { message: 'Conversation not found' });
+    }
+
+    emitToUsers(
+      participantIds.filter(id => id !== ws.userId),
+      'typing',
+      { conversationId, userId: ws.userId, isTyping: !!isTyping }
+    );
+  },
+
+  'presence:subscribe': async (ws, { userIds = [] }) => {
+    const blockedIds = new Set((await getBlockedUserIds(ws.userId)).map(id => id.toString()));
+    const ids = userIds
+      .map(id => id.toString())
+      .filter(id => !blockedIds.has(id))
+      .slice(0, MAX_PRESENCE_SUBSCRIPTIONS - ws.watching.size);
+
+    const users = await User.find({ _id: { $in: ids } }).select('lastSeen settings.showActivityStatus').lean();
+
+    users.forEach(user => {
+      const userId = user._id.toString();
+      const hidden = user.settings?.showActivityStatus === false;
+
+      if (!presenceWatchers.has(userId)) {
+        presenceWatchers.set(userId, new Set());
+      }
+      presenceWatchers.get(userId).add(ws);
+      ws.watching.add(userId);
+
+      send(ws, 'presence', hidden
+        ? { userId, online: false, lastSeen: null }
+        : { userId, online: isOnline(userId), lastSeen: user.lastSeen });
+    });
+  },
+
+  'presence:unsubscribe': async (ws, { userIds = [] }) => {
+    userIds.forEach(id => unwatch(ws, id.toString()));
+  }
+};
+
+const unwatch = (ws, userId) => {
+  const watchers = presenceWatchers.get(userId);
+  if (watchers) {
+    watchers.delete(ws);
+    if (watchers.size === 0) {
+      presenceWatchers.delete(userId);
+    }
+  }
+  ws.watching.delete(userId);
+};
+
+const handleConnection = (ws, user) => {
+  const userId = user._id.toString();
+
+  ws.userId = userId;
+  ws.hidden = user.settings?.showActivityStatus === false;
+  ws.isAlive = true;
+  ws.watching = new Set();
+
+  const sockets = localSockets.get(userId) || new Set();
+  const firstLocalConnection = sockets.size === 0;
+  sockets.add(ws);
+  localSockets.set(userId, sockets);
+
+  if (firstLocalConnection) {
+    publishPresence(userId, true, null, ws.hidden);
+  }
+
+  send(ws, 'ready', { userId });
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', async (raw) => {
+    try {
+      const { event, data } = JSON.parse(raw);
+      const handler = clientEvents[event];
+
+      if (!handler) {
+        return send(ws, 'error', { message: `Unknown event: ${event}` });
+      }
+
+      await handler(ws, data || {});
+    } catch (error) {
+      send(ws, 'error', { message: 'Invalid message' });
+    }
+  });
+
+  ws.on('close', async () => {
+    [...ws.watching].forEach(watchedId => unwatch(ws, watchedId));
+
+    sockets.delete(ws);
+    if (sockets.size > 0) return;
+
+    localSockets.delete(userId);
+
+    // Last connection on this instance closed - record when the user was last seen
+    const lastSeen = new Date();
+    try {
+      await User.updateOne({ _id: userId }, { lastSeen });
+      userCache.del(`user:${userId}`);
+    } catch (error) {
+      console.error('Realtime lastSeen update error:', error);
+    }
+
+    publishPresence(userId, false, lastSeen, ws.hidden);
+  });
+};
+
+// Read the access token from `?token=` or an Authorization header
+const getRequestToken = (req) => {
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  if (searchParams.get('token')) {
+    return searchParams.get('token');
+  }
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Attach the WebSocket gateway to an HTTP server
+const initRealtime = async (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  await adapter.subscribe('user-events', handleUserEvent);
+  await adapter.subscribe('presence', handlePresence);
+  await adapter.subscribe('presence-visibility', handleVisibility);
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      return socket.destroy();
+    }
+
+    try {
+      const token = getRequestToken(req);
+      if (!token) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      const { user, error } = await authenticateToken(token);
+      if (error) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, user));
+    } catch (error) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`⚡ Realtime gateway listening on ${WS_PATH} (${adapter.name} pub/sub)`);
+  return wss;
+};
+
+module.exports = {
+  initRealtime,
+  setPubSubAdapter,
+  setPresenceVisibility,
+  emitToUser,
+  emitToUsers,
+  isOnline
+};
@@ -0,0 +1,51 @@
+// Pub/sub adapters let several API instances share realtime events.
+// An adapter exposes:
+//   publish(channel, message)   - message is a plain JSON-serialisable object
+//   subscribe(channel, handler) - handler(message) is called for every publish,
+//                                 including ones from this instance
+
+// In-memory adapter - single instance deployments and local development
+const createMemoryAdapter = () => {
+  const handlers = new Map();
+
+  return {
+    name: 'memory',
+    publish: async (channel, message) => {
+      (handlers.get(channel) || []).forEach(handler => handler(message));
+    },
+    subscribe: async (channel, handler) => {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+      }
+      handlers.get(channel).push(handler);
+    }
+  };
+};
+
+// Redis adapter - pass two connected node-redis (v4+) clients, one for
+// publishing and a dedicated one for subscribing, e.g.
+//   const publisher = createClient({ url }); const subscriber = publisher.duplicate();
+//   await Promise.all([publisher.connect(), subscriber.connect()]);
+//   setPubSubAdapter(createRedisAdapter({ publisher, subscriber }));
+const createRedisAdapter = ({ publisher, subscriber, prefix = 'lykechat:' }) => {
+  return {
+    name: 'redis',
+    publish: async (channel, message) => {
+      await publisher.publish(prefix + channel, JSON.stringify(message));
+    },
+    subscribe: async (channel, handler) => {
+      await subscriber.subscribe(prefix + channel, (raw) => {
+        try {
+          handler(JSON.parse(raw));
+        } catch (error) {
+          console.error('Realtime pub/sub message error:', error);
+        }
+      });
+    }
+  };
+};
+
+module.exports = {
+  createMemoryAdapter,
+  createRedisAdapter
+};
@@ -0,0 +1,52 @@
+const express = require('express');
+const {
+  getUsersByRole,
+  grantRole,
+  revokeRole,
+  moderateContent,
+  getAuditLog
+} = require('../controllers/adminController');
+const {
+  getReports,
+  getReport,
+  assignReport,
+  resolveReport
+} = require('../controllers/reportController');
+const {
+  getBannedWords,
+  addBannedWords,
+  deleteBannedWord,
+  checkText
+} = require('../controllers/moderationController');
+const {
+  suspendAccount,
+  unsuspendAccount,
+  getUserSuspensions,
+  getAppeals,
+  reviewAppeal
+} = require('../controllers/suspensionController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admin routes
+router.get('/users', protect, authorize('roles:manage'), getUsersByRole);
+router.post('/users/:profileId/roles', protect, authorize('roles:manage'), grantRole);
+router.delete('/users/:profileId/roles/:role', protect, authorize('roles:manage'), revokeRole);
+router.post('/users/:profileId/suspend', protect, authorize('users:suspend'), suspendAccount);
+router.delete('/users/:profileId/suspension', protect, authorize('users:suspend'), unsuspendAccount);
+router.get('/users/:profileId/suspensions', protect, authorize('users:suspend'), getUserSuspensions);
+router.get('/appeals', protect, authorize('users:suspend'), getAppeals);
+router.put('/appeals/:id', protect, authorize('users:suspend'), reviewAppeal);
+router.put('/content/:type/:id', protect, authorize('content:moderate'), moderateContent);
+router.get('/reports', protect, authorize('content:moderate'), getReports);
+router.get('/reports/:id', protect, authorize('content:moderate'), getReport);
+router.put('/reports/:id/assign', protect, authorize('content:moderate'), assignReport);
+router.put('/reports/:id/resolve', protect, authorize('content:moderate'), resolveReport); // 'suspend' also needs users:suspend
+router.get('/audit-log', protect, authorize('content:moderate'), getAuditLog);
+router.get('/moderation/words', protect, authorize('moderation:manage'), getBannedWords);
+router.post('/moderation/words', protect, authorize('moderation:manage'), addBannedWords);
+router.delete('/moderation/words/:id', protect, authorize('moderation:manage'), deleteBannedWord);
+router.post('/moderation/check', protect, authorize('moderation:manage'), checkText);
+
+module.exports = router;
@@ -8,18 +8,18 @@ const {
   deleteAdvertisement,
   getAdvertisementAnalytics
 } = require('../controllers/adController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const { handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Advertisement routes
 router.get('/feed', getAdvertisementsFeed);
-router.post('/', protect, createAdvertisement, handleUploadError); // Admin only in production
+router.post('/', protect, authorize('ads:manage'), createAdvertisement, handleUploadError);
 router.get('/:id', getAdvertisement);
 router.post('/:id/click', recordClick);
-router.get('/:id/analytics', protect, getAdvertisementAnalytics); // Admin only in production
-router.put('/:id', protect, updateAdvertisement); // Admin only in production
-router.delete('/:id', protect, deleteAdvertisement); // Admin only in production
+router.get('/:id/analytics', protect, authorize('ads:manage'), getAdvertisementAnalytics);
+router.put('/:id', protect, authorize('ads:manage'), updateAdvertisement);
+router.delete('/:id', protect, authorize('ads:manage'), deleteAdvertisement);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,14 @@
 const express = require('express');
-const { sendOtp, verifyOtpAndAuth, getMe } = require('../controllers/authController');
+const {
+  sendOtp,
+  verifyOtpAndAuth,
+  getMe,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,6 +16,11 @@ const router = express.Router();
 // Authentication routes
 router.post('/send-otp', sendOtp);
 router.post('/verify-otp', verifyOtpAndAuth);
+router.post('/refresh', refreshToken);
 router.get('/me', protect, getMe);
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -7,14 +7,14 @@ const {
   deleteComment,
   updateComment
 } = require('../controllers/commentController');
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Comment routes
 router.post('/', protect, createComment);
-router.get('/post/:postId', getPostComments);
-router.get('/:commentId/replies', getCommentReplies);
+router.get('/post/:postId', optionalAuth, getPostComments);
+router.get('/:commentId/replies', optionalAuth, getCommentReplies);
 router.post('/:id/like', protect, toggleCommentLike);
 router.put('/:id', protect, updateComment);
 router.delete('/:id', protect, deleteComment);
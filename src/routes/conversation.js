@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+  getMessageMedia
+} = require('../controllers/conversationController');
+const { protect } = require('../middleware/auth');
+const { handleUploadError } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Conversation routes
+router.post('/', protect, startConversation);
+router.get('/', protect, getConversations);
+router.get('/:id/messages', protect, getMessages);
+router.post('/:id/messages', protect, sendMessage, handleUploadError);
+router.post('/:id/read', protect, markConversationRead);
+router.get('/:id/media/:filename', protect, getMessageMedia);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getTrendingHashtags,
+  getFollowedHashtags,
+  getHashtag,
+  getHashtagPosts,
+  toggleHashtagFollow
+} = require('../controllers/hashtagController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Hashtag routes
+router.get('/trending', getTrendingHashtags);
+router.get('/following', protect, getFollowedHashtags);
+router.get('/:tag', optionalAuth, getHashtag);
+router.get('/:tag/posts', optionalAuth, getHashtagPosts);
+router.post('/:tag/follow', protect, toggleHashtagFollow);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  registerDevice,
+  unregisterDevice,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Notification routes
+router.get('/', protect, getNotifications);
+router.get('/unread-count', protect, getUnreadCount);
+router.get('/preferences', protect, getPreferences);
+router.put('/preferences', protect, updatePreferences);
+router.post('/devices', protect, registerDevice);
+router.delete('/devices', protect, unregisterDevice);
+router.put('/read-all', protect, markAllNotificationsRead);
+router.put('/:id/read', protect, markNotificationRead);
+router.delete('/:id', protect, deleteNotification);
+
+module.exports = router;
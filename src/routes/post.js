@@ -2,24 +2,55 @@ const express = require('express');
 const {
   createPost,
   getHomeFeed,
+  getForYouFeed,
   getPost,
+  updatePost,
+  getPostHistory,
+  getDrafts,
+  getScheduledPosts,
+  schedulePost,
+  cancelScheduledPost,
+  publishDraft,
+  getArchivedPosts,
+  archivePost,
+  unarchivePost,
+  pinPost,
+  unpinPost,
   toggleLike,
+  getPostLikes,
   deletePost,
   getTrendingPosts,
   sharePost
 } = require('../controllers/postController');
-const { protect } = require('../middleware/auth');
+const { savePost, unsavePost } = require('../controllers/saveController');
+const { protect, optionalAuth } = require('../middleware/auth');
 const { handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Post routes
-router.get('/trending', getTrendingPosts);
+router.get('/trending', optionalAuth, getTrendingPosts);
 router.get('/feed', protect, getHomeFeed);
+router.get('/feed/for-you', protect, getForYouFeed);
+router.get('/drafts', protect, getDrafts);
+router.get('/scheduled', protect, getScheduledPosts);
+router.get('/archive', protect, getArchivedPosts);
 router.post('/', protect, createPost, handleUploadError);
-router.get('/:id', getPost);
+router.get('/:id', optionalAuth, getPost);
+router.put('/:id', protect, updatePost);
+router.get('/:id/history', protect, getPostHistory);
+router.post('/:id/publish', protect, publishDraft);
+router.put('/:id/schedule', protect, schedulePost);
+router.delete('/:id/schedule', protect, cancelScheduledPost);
+router.post('/:id/archive', protect, archivePost);
+router.delete('/:id/archive', protect, unarchivePost);
+router.post('/:id/pin', protect, pinPost);
+router.delete('/:id/pin', protect, unpinPost);
 router.post('/:id/like', protect, toggleLike);
+router.get('/:id/likes', optionalAuth, getPostLikes);
 router.post('/:id/share', protect, sharePost);
+router.post('/:id/save', protect, savePost);
+router.delete('/:id/save', protect, unsavePost);
 router.delete('/:id', protect, deletePost);
 
 module.exports = router;
\ No newline at end of file
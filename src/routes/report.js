@@ -0,0 +1,10 @@
+const express = require('express');
+const { createReport } = require('../controllers/reportController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Report routes
+router.post('/', protect, createReport);
+
+module.exports = router;
@@ -7,9 +7,10 @@ const {
   deleteService,
   addServiceReview,
   getTrendingServices,
-  getMyServices
+  getMyServices,
+  setServiceFeatured
 } = require('../controllers/serviceController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const { handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
@@ -23,5 +24,6 @@ router.get('/:id', getService);
 router.put('/:id', protect, updateService);
 router.delete('/:id', protect, deleteService);
 router.post('/:id/review', protect, addServiceReview);
+router.put('/:id/feature', protect, authorize('services:feature'), setServiceFeatured);
 
 module.exports = router;
\ No newline at end of file
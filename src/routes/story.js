@@ -5,6 +5,7 @@ const {
   getMyStories,
   getUserStories,
   viewStory,
+  replyToStory,
   deleteStory,
   getStoryViewers
 } = require('../controllers/storyController');
@@ -19,6 +20,7 @@ router.get('/feed', protect, getStoriesFeed);
 router.get('/my', protect, getMyStories);
 router.get('/user/:profileId', protect, getUserStories);
 router.post('/:id/view', protect, viewStory);
+router.post('/:id/reply', protect, replyToStory);
 router.get('/:id/viewers', protect, getStoryViewers);
 router.delete('/:id', protect, deleteStory);
 
@@ -0,0 +1,11 @@
+const express = require('express');
+const { getMySuspension, submitAppeal } = require('../controllers/suspensionController');
+const { protectAllowSuspended } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Suspension routes (reachable while suspended)
+router.get('/', protectAllowSuspended, getMySuspension);
+router.post('/appeal', protectAllowSuspended, submitAppeal);
+
+module.exports = router;
@@ -2,24 +2,76 @@ const express = require('express');
 const {
   getUserProfile,
   updateProfile,
+  getSettings,
+  updateSettings,
+  getMyMentions,
   toggleFollow,
   getUserPosts,
   searchUsers,
   getSuggestedUsers,
-  getCurrentUserProfile // Added for getting current user's profile
+  getCurrentUserProfile, // Added for getting current user's profile
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+  cancelFollowRequest,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+  getCloseFriends,
+  addCloseFriend,
+  removeCloseFriend,
+  getFollowers,
+  getFollowing,
+  getMutualFollowers
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const {
+  getSavedPosts,
+  getCollections,
+  createCollection,
+  renameCollection,
+  reorderCollections,
+  deleteCollection
+} = require('../controllers/saveController');
+const { protect, optionalAuth } = require('../middleware/auth');
 const { uploadMiddleware, handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
 
 // User routes
-router.get('/search', searchUsers);
+router.get('/search', optionalAuth, searchUsers);
 router.get('/suggestions', protect, getSuggestedUsers);
 router.get('/profile', protect, getCurrentUserProfile); // Route to get the current authenticated user's profile
 router.put('/profile', protect, uploadMiddleware.single('profileImage'), handleUploadError, updateProfile); // Modified to handle file upload
-router.get('/:profileId', getUserProfile);
+router.get('/settings', protect, getSettings);
+router.put('/settings', protect, updateSettings);
+router.get('/me/mentions', protect, getMyMentions);
+router.get('/me/saved', protect, getSavedPosts);
+router.get('/me/collections', protect, getCollections);
+router.post('/me/collections', protect, createCollection);
+router.put('/me/collections/order', protect, reorderCollections);
+router.put('/me/collections/:id', protect, renameCollection);
+router.delete('/me/collections/:id', protect, deleteCollection);
+router.get('/blocked', protect, getBlockedUsers);
+router.get('/muted', protect, getMutedUsers);
+router.get('/me/close-friends', protect, getCloseFriends);
+router.post('/me/close-friends/:profileId', protect, addCloseFriend);
+router.delete('/me/close-friends/:profileId', protect, removeCloseFriend);
+router.get('/follow-requests', protect, getFollowRequests);
+router.post('/follow-requests/:id/approve', protect, approveFollowRequest);
+router.post('/follow-requests/:id/reject', protect, rejectFollowRequest);
+router.get('/:profileId', optionalAuth, getUserProfile);
 router.post('/:profileId/follow', protect, toggleFollow);
-router.get('/:profileId/posts', getUserPosts);
+router.delete('/:profileId/follow-request', protect, cancelFollowRequest);
+router.post('/:profileId/block', protect, blockUser);
+router.delete('/:profileId/block', protect, unblockUser);
+router.post('/:profileId/mute', protect, muteUser);
+router.delete('/:profileId/mute', protect, unmuteUser);
+router.get('/:profileId/posts', optionalAuth, getUserPosts);
+router.get('/:profileId/followers', optionalAuth, getFollowers);
+router.get('/:profileId/following', optionalAuth, getFollowing);
+router.get('/:profileId/mutuals', protect, getMutualFollowers);
 
 module.exports = router;
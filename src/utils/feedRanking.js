@@ -0,0 +1,130 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const HashtagFollow = require('../models/HashtagFollow');
+const FEED_RANKING = require('../config/feedRanking');
+const { normalizeHashtag } = require('./hashtags');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Most recent likes and comments looked at for affinity and interests
+const MAX_INTERACTIONS = 500;
+
+// Map value to 0..1, reaching 0.5 at `half`
+const saturate = (value, half) => (value > 0 ? value / (value + half) : 0);
+
+const addPoints = (map, key, points) => {
+  map.set(key, (map.get(key) || 0) + points);
+};
+
+// What the ranking knows about the viewer: interaction points per author
+// (`affinity`), weighted interests by hashtag (`interests`) and the hashtags
+// they follow
+const buildRankingContext = async (userId, followingIds, config = FEED_RANKING) => {
+  const since = new Date(Date.now() - config.affinity.windowDays * 24 * HOUR_MS);
+
+  const likes = await Like.find({ user: userId, targetType: 'post', createdAt: { $gte: since } })
+    .select('target')
+    .sort({ createdAt: -1 })
+    .limit(MAX_INTERACTIONS)
+    .lean();
+
+  const comments = await Comment.find({ author: userId, isActive: true, createdAt: { $gte: since } })
+    .select('post')
+    .sort({ createdAt: -1 })
+    .limit(MAX_INTERACTIONS)
+    .lean();
+
+  const interactedPosts = await Post.find({
+    _id: { $in: [...likes.map(like => like.target), ...comments.map(comment => comment.post)] }
+  }).select('author hashtags').lean();
+  const postsById = new Map(interactedPosts.map(post => [post._id.toString(), post]));
+
+  const affinity = new Map();
+  const interests = new Map();
+
+  followingIds.forEach(id => addPoints(affinity, id.toString(), config.affinity.followBonus));
+
+  likes.forEach(like => {
+    const post = postsById.get(like.target.toString());
+    if (post) {
+      addPoints(affinity, post.author.toString(), config.affinity.likeWeight);
+      (post.hashtags || []).forEach(name => addPoints(interests, name, config.interests.likedHashtagWeight));
+    }
+  });
+
+  comments.forEach(comment => {
+    const post = postsById.get(comment.post.toString());
+    if (post) {
+      addPoints(affinity, post.author.toString(), config.affinity.commentWeight);
+    }
+  });
+
+  const followedHashtags = await HashtagFollow.getFollowedNames(userId);
+  followedHashtags.forEach(name => addPoints(interests, name, config.interests.followedHashtagWeight));
+
+  const user = await User.findById(userId).select('interests').lean();
+  (user?.interests || [])
+    .map(normalizeHashtag)
+    .filter(Boolean)
+    .forEach(name => addPoints(interests, name, config.interests.profileInterestWeight));
+
+  return { now: Date.now(), affinity, interests, followedHashtags };
+};
+
+// Signals (each 0..1) for one post. `post` needs author, hashtags, counters
+// and createdAt.
+const getSignals = (post, context, config = FEED_RANKING) => {
+  const ageHours = Math.max((context.now - new Date(post.createdAt).getTime()) / HOUR_MS, 0);
+  const authorId = (post.author._id || post.author).toString();
+
+  const { likeWeight, commentWeight, shareWeight, halfSaturationPerHour } = config.engagement;
+  const interactions = (post.likesCount || 0) * likeWeight +
+    (post.commentsCount || 0) * commentWeight +
+    (post.sharesCount || 0) * shareWeight;
+
+  const matchedInterests = (post.hashtags || [])
+    .reduce((total, name) => total + (context.interests.get(name) || 0), 0);
+
+  return {
+    recency: Math.pow(0.5, ageHours / config.recencyHalfLifeHours),
+    // Rate over at least an hour, so brand new posts don't spike
+    engagement: saturate(interactions / Math.max(ageHours, 1), halfSaturationPerHour),
+    affinity: saturate(context.affinity.get(authorId) || 0, config.affinity.halfSaturation),
+    interests: saturate(matchedInterests, config.interests.halfSaturation)
+  };
+};
+
+const scorePost = (post, context, config = FEED_RANKING) => {
+  const signals = getSignals(post, context, config);
+
+  return Object.entries(config.weights)
+    .reduce((score, [signal, weight]) => score + weight * (signals[signal] || 0), 0);
+};
+
+// Candidates sorted best first, with repeat posts by an author scaled down
+const rankPosts = (posts, context, config = FEED_RANKING) => {
+  const byScore = posts
+    .map(post => ({ post, score: scorePost(post, context, config) }))
+    .sort((a, b) => b.score - a.score);
+
+  const seenAuthors = new Map();
+  byScore.forEach(item => {
+    const authorId = (item.post.author._id || item.post.author).toString();
+    const seen = seenAuthors.get(authorId) || 0;
+    item.score *= Math.pow(config.authorRepeatPenalty, seen);
+    seenAuthors.set(authorId, seen + 1);
+  });
+
+  return byScore
+    .sort((a, b) => b.score - a.score)
+    .map(item => item.post);
+};
+
+module.exports = {
+  buildRankingContext,
+  getSignals,
+  scorePost,
+  rankPosts
+};
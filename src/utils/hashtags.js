@@ -0,0 +1,46 @@
+// A post or comment keeps at most this many hashtags
+const MAX_HASHTAGS = 30;
+
+// "#" not preceded by a word character or "&" (HTML entities), then letters,
+// marks (for Devanagari), digits and underscores
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{M}\p{N}_&])#([\p{L}\p{M}\p{N}_]{1,50})/gu;
+
+// Lowercase without the leading '#'. Returns null for anything that isn't a
+// usable hashtag (empty, too long, digits only).
+const normalizeHashtag = (tag) => {
+  const name = String(tag).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+
+  if (!name || name.length > 50 || !/^[\p{L}\p{M}\p{N}_]+$/u.test(name) || /^\d+$/.test(name)) {
+    return null;
+  }
+
+  return name;
+};
+
+// Unique normalized hashtags in order of first appearance
+const extractHashtags = (...texts) => {
+  const names = new Set();
+
+  texts.filter(Boolean).forEach(text => {
+    for (const match of String(text).matchAll(HASHTAG_PATTERN)) {
+      const name = normalizeHashtag(match[1]);
+      if (name) {
+        names.add(name);
+      }
+    }
+  });
+
+  return [...names].slice(0, MAX_HASHTAGS);
+};
+
+// Hashtags from a post: caption #hashtags plus the comma-separated `tags` field
+const getPostHashtags = (caption, tags = []) => {
+  const fromTags = tags.map(normalizeHashtag).filter(Boolean);
+  return [...new Set([...extractHashtags(caption), ...fromTags])].slice(0, MAX_HASHTAGS);
+};
+
+module.exports = {
+  normalizeHashtag,
+  extractHashtags,
+  getPostHashtags
+};
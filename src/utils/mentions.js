@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const Mention = require('../models/Mention');
+const { isBlockedBetween, isAllowedByAudience, isAllowedByVisibility } = require('./privacy');
+const { notify } = require('./notifications');
+
+// A post, comment or story caption links at most this many mentions
+const MAX_MENTIONS = 20;
+
+// "@" not preceded by a word character, "@" or "." (so emails don't match),
+// then a profileId (see User.profileId)
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([a-zA-Z0-9_]{1,50})/gu;
+
+// Find @profileId mentions in text.
+// Returns [{ profileId, offset, length }] where offset/length (UTF-16 code
+// units, as in JavaScript strings) cover the "@" and the profileId.
+const parseMentions = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const offset = match.index + match[1].length;
+    mentions.push({ profileId: match[2].toLowerCase(), offset, length: match[2].length + 1 });
+
+    if (mentions.length === MAX_MENTIONS) {
+      break;
+    }
+  }
+
+  return mentions;
+};
+
+// Resolve mentions in text written by authorId to mention entities
+// ({ user, profileId, offset, length }). Unknown users, users blocked either
+// way and users whose mention setting excludes the author are left as text,
+// as are users outside the audience when the text is shared with
+// `visibility` by `ownerId` (the post's author, for comments).
+const resolveMentions = async (text, authorId, { visibility, ownerId = authorId } = {}) => {
+  const parsed = parseMentions(text);
+  if (parsed.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({
+    profileId: { $in: [...new Set(parsed.map(mention => mention.profileId))] },
+    isActive: true
+  }).select('profileId settings.mentions').lean();
+
+  const allowedUsers = new Map();
+  for (const user of users) {
+    const allowed = !(await isBlockedBetween(user._id, authorId)) &&
+      await isAllowedByAudience(user.settings?.mentions, user._id, authorId) &&
+      await isAllowedByVisibility(visibility, ownerId, user._id);
+
+    if (allowed) {
+      allowedUsers.set(user.profileId, user._id);
+    }
+  }
+
+  return parsed
+    .filter(mention => allowedUsers.has(mention.profileId))
+    .map(mention => ({ user: allowedUsers.get(mention.profileId), ...mention }));
+};
+
+// Make the Mention records for a piece of content match its mention
+// entities, notifying users who are newly mentioned (unless `silent`, for
+// content coming back whose mentions were notified before).
+const syncMentions = async ({ mentions, actor, targetType, target, post, preview, silent = false }) => {
+  const userIds = [...new Set(mentions.map(mention => mention.user.toString()))];
+
+  const existing = await Mention.find({ targetType, target }).select('user').lean();
+  const existingIds = new Set(existing.map(mention => mention.user.toString()));
+
+  await Mention.deleteMany({ targetType, target, user: { $nin: userIds } });
+
+  const newIds = userIds.filter(id => !existingIds.has(id) && id !== actor.toString());
+  if (newIds.length > 0) {
+    await Mention.bulkWrite(newIds.map(user => ({
+      updateOne: {
+        filter: { targetType, target, user },
+        update: { $setOnInsert: { targetType, target, user, actor, post } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  if (silent) {
+    return;
+  }
+
+  for (const recipient of newIds) {
+    await notify({ recipient, actor, type: 'mention', targetType, target, post, preview });
+  }
+};
+
+// Forget mentions in deleted content
+const removeMentions = (targetType, target) => {
+  return Mention.deleteMany({ targetType, target });
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  syncMentions,
+  removeMentions
+};
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Story = require('../models/Story');
+const Service = require('../models/Service');
+const Advertisement = require('../models/Advertisement');
+const Hashtag = require('../models/Hashtag');
+const ModerationLog = require('../models/ModerationLog');
+const Report = require('../models/Report');
+const { userCache, postCache, storyCache, serviceCache, adCache } = require('../config/cache');
+const { syncMentions } = require('./mentions');
+
+// Content that can be reported or moderated, with the field holding its owner
+const CONTENT_TYPES = {
+  post: { Model: Post, ownerField: 'author' },
+  comment: { Model: Comment, ownerField: 'author' },
+  story: { Model: Story, ownerField: 'author' },
+  service: { Model: Service, ownerField: 'provider' },
+  advertisement: { Model: Advertisement, ownerField: 'advertiser' },
+  user: { Model: User, ownerField: '_id' }
+};
+
+// Load a piece of content and its owner's id
+const findContent = async (type, id) => {
+  const contentType = CONTENT_TYPES[type];
+  if (!contentType || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const content = await contentType.Model.findById(id);
+  if (!content) {
+    return null;
+  }
+
+  return { content, ownerId: content[contentType.ownerField] };
+};
+
+// Record mentions in restored content. Held content was never notified;
+// users already recorded (content hidden after it went live) aren't again.
+const restoreMentions = (type, content) => {
+  if (!['post', 'comment', 'story'].includes(type) || !content.mentions) {
+    return null;
+  }
+
+  return syncMentions({
+    mentions: content.mentions,
+    actor: content.author,
+    targetType: type,
+    target: content._id,
+    post: type === 'post' ? content._id : content.post,
+    preview: type === 'comment' ? content.content : content.caption
+  });
+};
+
+const clearContentCache = (type, content) => {
+  if (type === 'post') {
+    postCache.flushAll();
+  } else if (type === 'comment') {
+    postCache.del(`comments:${content.post}`);
+  } else if (type === 'story') {
+    storyCache.flushAll();
+  } else if (type === 'service') {
+    serviceCache.flushAll();
+  } else if (type === 'advertisement') {
+    adCache.flushAll();
+  } else if (type === 'user') {
+    userCache.del(`user:${content._id}`);
+    userCache.del(`profile:${content.profileId}`);
+  }
+};
+
+// Why content can't be restored by a moderator, or null if it can. Content
+// its author deleted stays deleted. Archived posts weren't hidden by
+// moderation; only their author can unarchive them. Drafts and scheduled
+// posts go live only when they are published.
+const getRestoreBlocker = (type, content) => {
+  if (content.deletedAt) {
+    return 'Content deleted by its author cannot be restored';
+  }
+
+  if (type === 'post' && content.isArchived) {
+    return 'Archived posts can only be unarchived by their author';
+  }
+
+  if (type === 'post' && content.status && content.status !== 'published') {
+    return 'Drafts and scheduled posts can only be published by their author';
+  }
+
+  return null;
+};
+
+// Hide (isActive=false) or restore content, keeping counters and caches in
+// sync. Resolves false if the content can't be restored (see getRestoreBlocker).
+const setContentActive = async (type, content, isActive) => {
+  if (isActive && getRestoreBlocker(type, content)) {
+    return false;
+  }
+
+  // A removed post can't come back by being unarchived
+  if (!isActive && content.isArchived) {
+    content.isArchived = false;
+    content.archivedAt = null;
+    content.pinnedAt = null;
+    await content.save();
+  }
+
+  if (content.isActive !== isActive) {
+    content.isActive = isActive;
+    await content.save();
+
+    // Keep author post counts and hashtag counts in sync
+    if (type === 'post') {
+      await User.findByIdAndUpdate(content.author, { $inc: { postsCount: isActive ? 1 : -1 } });
+    }
+
+    if (type === 'post' || type === 'comment') {
+      await Hashtag.recordUsage(content.hashtags, type, isActive ? 1 : -1);
+    }
+
+    if (isActive) {
+      await restoreMentions(type, content);
+    }
+  }
+
+  clearContentCache(type, content);
+  return true;
+};
+
+// Record a moderation decision in the audit trail
+const logModerationAction = ({ moderator, action, targetType, target, targetUser, report, note }) => {
+  return ModerationLog.create({ moderator, action, targetType, target, targetUser, report, note });
+};
+
+// Queue content held by the text filter for moderator review
+const holdForReview = (targetType, content, ownerId, violations) => {
+  const flags = [...new Set(violations.map(violation => violation.rule))];
+
+  return Report.create({
+    source: 'filter',
+    targetType,
+    target: content._id,
+    targetOwner: ownerId,
+    reason: flags.includes('spamLinks') ? 'spam' : 'other',
+    details: `Held by the text filter (${flags.join(', ')})`,
+    flags
+  });
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  findContent,
+  getRestoreBlocker,
+  setContentActive,
+  logModerationAction,
+  holdForReview
+};
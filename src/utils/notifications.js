@@ -0,0 +1,60 @@
+const Notification = require('../models/Notification');
+const { isBlockedBetween } = require('./privacy');
+const Mute = require('../models/Mute');
+const { emitToUser } = require('../realtime/gateway');
+const { dispatchPush } = require('./push');
+
+const ACTOR_FIELDS = 'name profileId profileImage isVerified';
+
+// Record a notification for `recipient` and push it to their open sockets.
+// Never throws - a failed notification must not fail the action behind it.
+const notify = async ({ recipient, actor, type, targetType, target, post, preview }) => {
+  try {
+    if (!recipient || recipient.toString() === actor.toString()) {
+      return null;
+    }
+
+    // Nothing from users the recipient blocked, was blocked by, or muted
+    const [blocked, muted] = await Promise.all([
+      isBlockedBetween(recipient, actor),
+      Mute.exists({ muter: recipient, muted: actor })
+    ]);
+    if (blocked || muted) {
+      return null;
+    }
+
+    const notification = await Notification.record({ recipient, actor, type, targetType, target, post, preview });
+    await notification.populate('actors', ACTOR_FIELDS);
+
+    emitToUser(recipient, 'notification', notification);
+
+    // Push delivery retries in the background - don't hold up the request
+    dispatchPush(notification).catch(error => {
+      console.error('Push dispatch error:', error);
+    });
+
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+// Undo a notification event (unlike, unfollow, cancelled follow request)
+const retractNotification = async ({ recipient, actor, type, target }) => {
+  try {
+    if (!recipient || recipient.toString() === actor.toString()) {
+      return;
+    }
+
+    await Notification.retract({ recipient, actor, type, target });
+  } catch (error) {
+    console.error('Notification retract error:', error);
+  }
+};
+
+module.exports = {
+  ACTOR_FIELDS,
+  notify,
+  retractNotification
+};
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+
+const MAX_LIMIT = 100;
+
+// Read a dotted path ('rating.average') from a document
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Sorts on plain fields can resume from the last item (keyset); sorts with
+// computed keys such as { score: { $meta: 'textScore' } } resume by offset
+const isKeysetSort = (sort) => Object.values(sort).every(direction => direction === 1 || direction === -1);
+
+// Add _id as the final sort key so every position is unique
+const withTieBreaker = (sort) => {
+  if (sort._id || !isKeysetSort(sort)) {
+    return sort;
+  }
+
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : -1 };
+};
+
+// Cursors are base64url JSON: { k: sort keys, v: values of the last item }
+// for keyset sorts, or { o: offset } otherwise
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+// Turn a cursor value back into a query value of the field's schema type.
+// Only what cursorAfter writes is accepted (a string, finite number,
+// boolean, null or { $date }), so a crafted cursor can't slip operators
+// into the query or fail to cast. Throws on anything else.
+const decodeValue = (value, schemaType) => {
+  const type = schemaType ? schemaType.instance : null;
+
+  if (value === null && type !== 'ObjectId') {
+    return null;
+  }
+
+  if (type === 'ObjectId' && typeof value === 'string' && mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+
+  if (type === 'Date' && value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  if ((type === 'Number' && isNumber) || (type === 'String' && typeof value === 'string') ||
+    (type === 'Boolean' && typeof value === 'boolean')) {
+    return value;
+  }
+
+  // Fields outside the schema are left uncast, so any plain value will do
+  if (!type && (isNumber || typeof value === 'string')) {
+    return value;
+  }
+
+  throw new Error('Invalid cursor');
+};
+
+// Resolves a position ({ offset } or { values }), or null if the cursor is
+// malformed or was made for another sort
+const decodeCursor = (cursor, Model, sort, byOffset) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!position || typeof position !== 'object') {
+      return null;
+    }
+
+    if (byOffset) {
+      return Number.isInteger(position.o) && position.o >= 0 ? { offset: position.o } : null;
+    }
+
+    const keys = Object.keys(sort);
+    if (!Array.isArray(position.k) || position.k.join(',') !== keys.join(',') ||
+      !Array.isArray(position.v) || position.v.length !== keys.length) {
+      return null;
+    }
+
+    return { values: position.v.map((value, index) => decodeValue(value, Model.schema.path(keys[index]))) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cursor pointing just after `doc` in `sort` order
+const cursorAfter = (sort, doc) => encodeCursor({
+  k: Object.keys(sort),
+  v: Object.keys(sort).map(key => {
+    const value = getPath(doc, key);
+    if (value instanceof Date) {
+      return { $date: value.toISOString() };
+    }
+    return value === undefined ? null : value;
+  })
+});
+
+// Condition for values of `field` that come after `value` (null/missing
+// values sort lowest in MongoDB). Null when nothing can come after.
+const afterValue = (field, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+
+  if (direction === 1) {
+    return { [field]: { $gt: value } };
+  }
+
+  return field === '_id'
+    ? { _id: { $lt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Query condition for the items after a keyset position
+const getCursorFilter = (sort, values) => {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const after = afterValue(key, values[index], sort[key]);
+    if (after) {
+      const equalBefore = Object.fromEntries(keys.slice(0, index).map((prevKey, i) => [prevKey, values[i]]));
+      branches.push({ ...equalBefore, ...after });
+    }
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $in: [] } };
+};
+
+// Read ?cursor=, ?page= and ?limit= for a list of Model sorted by `sort`. A
+// cursor continues right after the last item of the previous page; without
+// one, `page` works as before. `byOffset` makes cursors hold a position in
+// the list instead, for lists that are ranked once and cached (see
+// slicePage). Returns { error } for a cursor that is malformed or was made
+// for another list.
+const getPagination = (query, Model, sort, { defaultLimit = 20, byOffset = false } = {}) => {
+  const fullSort = withTieBreaker(sort);
+  const offsetMode = byOffset || !isKeysetSort(fullSort);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+
+  if (query.cursor) {
+    const position = decodeCursor(query.cursor, Model, fullSort, offsetMode);
+    if (!position) {
+      return { error: 'Invalid cursor' };
+    }
+
+    return { sort: fullSort, byOffset: offsetMode, limit, position, skip: position.offset || 0 };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { sort: fullSort, byOffset: offsetMode, limit, page, skip: (page - 1) * limit };
+};
+
+// `filter` narrowed to the items after the cursor, if there is one
+const applyCursor = (filter, pagination) => {
+  if (!pagination.position || !pagination.position.values) {
+    return filter;
+  }
+
+  return {
+    ...filter,
+    $and: [...(filter.$and || []), getCursorFilter(pagination.sort, pagination.position.values)]
+  };
+};
+
+// Pagination block for a page of items. `total` is left out when unknown.
+const getPageMeta = ({ page, limit }, hasNext, nextCursor, total) => {
+  if (!page) {
+    return { nextCursor, hasNext };
+  }
+
+  const meta = { current: page, hasNext, hasPrev: page > 1, nextCursor };
+  if (total !== undefined) {
+    meta.pages = Math.ceil(total / limit);
+    meta.total = total;
+  }
+
+  return meta;
+};
+
+// Fetch one page of Model.find(filter). `buildQuery` adds select/populate.
+// Resolves { items, pagination } where pagination always has `nextCursor`
+// and `hasNext`; page-based requests also get current/hasPrev and, unless
+// `count` is false, pages/total.
+const findPage = async (Model, filter, pagination, buildQuery = query => query, { count = true } = {}) => {
+  const { sort, limit, skip, page } = pagination;
+
+  const docs = await buildQuery(Model.find(applyCursor(filter, pagination)))
+    .sort(sort)
+    .skip(skip)
+    .limit(limit + 1) // One extra to tell whether there is a next page
+    .lean();
+
+  const hasNext = docs.length > limit;
+  const items = docs.slice(0, limit);
+
+  let nextCursor = null;
+  if (hasNext) {
+    nextCursor = pagination.byOffset
+      ? encodeCursor({ o: skip + limit })
+      : cursorAfter(sort, items[items.length - 1]);
+  }
+
+  const total = page && count ? await Model.countDocuments(filter) : undefined;
+  return { items, pagination: getPageMeta(pagination, hasNext, nextCursor, total) };
+};
+
+// One page of an already ranked list (pagination made with byOffset).
+// Returns { items, pagination } like findPage.
+const slicePage = (list, pagination) => {
+  const { skip, limit } = pagination;
+  const hasNext = list.length > skip + limit;
+  const nextCursor = hasNext ? encodeCursor({ o: skip + limit }) : null;
+
+  return {
+    items: list.slice(skip, skip + limit),
+    pagination: getPageMeta(pagination, hasNext, nextCursor, list.length)
+  };
+};
+
+module.exports = {
+  getPagination,
+  applyCursor,
+  cursorAfter,
+  findPage,
+  slicePage
+};
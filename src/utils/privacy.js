@@ -0,0 +1,164 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const CloseFriend = require('../models/CloseFriend');
+
+// Ids of users hidden from userId because of a block in either direction
+const getBlockedUserIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  const blocks = await Block.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked').lean();
+
+  return blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ));
+};
+
+// Ids of users whose posts and stories userId has muted
+const getMutedUserIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  const mutes = await Mute.find({ muter: userId }).select('muted').lean();
+  return mutes.map(mute => mute.muted);
+};
+
+// Whether either user has blocked the other
+const isBlockedBetween = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) {
+    return false;
+  }
+
+  return !!(await Block.exists({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId }
+    ]
+  }));
+};
+
+// Whether viewer follows owner
+const isFollowerOf = async (ownerId, viewerId) => {
+  if (!viewerId) {
+    return false;
+  }
+
+  return Follow.isFollowing(viewerId, ownerId);
+};
+
+// Whether viewer may see owner's posts, stories and follower lists.
+// `owner` must include `_id` and `isPrivate`.
+const canViewContent = async (owner, viewerId) => {
+  if (viewerId && owner._id.toString() === viewerId.toString()) {
+    return true;
+  }
+
+  if (await isBlockedBetween(owner._id, viewerId)) {
+    return false;
+  }
+
+  if (!owner.isPrivate) {
+    return true;
+  }
+
+  return isFollowerOf(owner._id, viewerId);
+};
+
+// Whether viewer passes one of owner's interaction settings
+// ('everyone', 'followers' or 'nobody', see User.settings)
+const isAllowedByAudience = async (audience, ownerId, viewerId) => {
+  if (viewerId && ownerId.toString() === viewerId.toString()) {
+    return true;
+  }
+
+  if (audience === 'nobody') {
+    return false;
+  }
+
+  if (audience === 'followers') {
+    return isFollowerOf(ownerId, viewerId);
+  }
+
+  return true;
+};
+
+// Post and story visibilities viewer may see from owner: 'public' always,
+// 'followers' for followers, 'close_friends' for users on owner's close
+// friends list, and everything for the owner
+const getAllowedVisibilities = async (ownerId, viewerId) => {
+  if (viewerId && ownerId.toString() === viewerId.toString()) {
+    return ['public', 'followers', 'close_friends', 'private'];
+  }
+
+  const visibilities = ['public'];
+  if (await isFollowerOf(ownerId, viewerId)) {
+    visibilities.push('followers');
+  }
+  if (await CloseFriend.isCloseFriend(ownerId, viewerId)) {
+    visibilities.push('close_friends');
+  }
+
+  return visibilities;
+};
+
+// Whether viewer may see owner's post or story shared with `visibility`
+const isAllowedByVisibility = async (visibility, ownerId, viewerId) => {
+  return (await getAllowedVisibilities(ownerId, viewerId)).includes(visibility || 'public');
+};
+
+// Whether viewer may see a post or story by ownerId shared with
+// `visibility`: the owner's privacy and blocks (see canViewContent) and the
+// audience it was shared with both apply
+const canViewShared = async (ownerId, visibility, viewerId) => {
+  const owner = await User.findById(ownerId).select('isPrivate').lean();
+  return !!owner && await canViewContent(owner, viewerId) &&
+    isAllowedByVisibility(visibility, ownerId, viewerId);
+};
+
+// `posts` without those by private accounts viewer doesn't follow, for
+// lists open to everyone (trending, hashtag pages). Each post's `author`
+// must be populated with `_id` and `isPrivate`.
+const withoutPrivateAuthors = async (posts, viewerId) => {
+  if (!posts.some(post => post.author && post.author.isPrivate)) {
+    return posts;
+  }
+
+  const allowedIds = viewerId ? [viewerId, ...await Follow.getFollowingIds(viewerId)] : [];
+  const allowedIdSet = new Set(allowedIds.map(id => id.toString()));
+
+  return posts.filter(post => !post.author || !post.author.isPrivate || allowedIdSet.has(post.author._id.toString()));
+};
+
+// Query conditions (for $or) matching the posts viewer may see by visibility
+const getPostVisibilityFilter = async (viewerId) => {
+  if (!viewerId) {
+    return [{ visibility: 'public' }];
+  }
+
+  return [
+    { author: viewerId },
+    { visibility: 'public' },
+    { visibility: 'followers', author: { $in: await Follow.getFollowingIds(viewerId) } },
+    { visibility: 'close_friends', author: { $in: await CloseFriend.getListedByIds(viewerId) } }
+  ];
+};
+
+module.exports = {
+  getBlockedUserIds,
+  getMutedUserIds,
+  isBlockedBetween,
+  isFollowerOf,
+  canViewContent,
+  isAllowedByAudience,
+  getAllowedVisibilities,
+  isAllowedByVisibility,
+  canViewShared,
+  withoutPrivateAuthors,
+  getPostVisibilityFilter
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+// Push providers all expose `send({ token, platform, payload })` and resolve
+// once the push has been accepted. Throw an error with
+// `code: 'PUSH_TOKEN_INVALID'` when the token is dead so it gets removed;
+// any other error is retried with backoff. Pick one with PUSH_PROVIDER.
+
+const MAX_RETRIES = parseInt(process.env.PUSH_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = parseInt(process.env.PUSH_RETRY_BASE_MS) || 1000;
+
+// Console provider - logs pushes (local development)
+const consoleProvider = {
+  name: 'console',
+  send: async ({ token, platform, payload }) => {
+    console.log(`🔔 Push to ${platform}:${token.slice(0, 12)}…: ${payload.title} - ${payload.body}`);
+  }
+};
+
+// File provider - appends pushes to a log file (local development / QA)
+const fileProvider = {
+  name: 'file',
+  send: async ({ token, platform, payload }) => {
+    const filePath = process.env.PUSH_LOG_FILE || 'logs/push.log';
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      `${new Date().toISOString()}\t${platform}\t${token}\t${JSON.stringify(payload)}\n`
+    );
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+// Register a custom provider (e.g. FCM or APNs)
+const registerPushProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getPushProvider = () => {
+  const name = process.env.PUSH_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown push provider: ${name}`);
+  }
+
+  return provider;
+};
+
+// Preference switch that controls each notification type
+const PREFERENCE_BY_TYPE = {
+  post_like: 'likes',
+  comment_like: 'likes',
+  comment: 'comments',
+  reply: 'comments',
+  follow: 'follows',
+  follow_request: 'follows',
+  follow_accept: 'follows',
+  story_view: 'storyViews',
+  mention: 'mentions'
+};
+
+const MESSAGE_BY_TYPE = {
+  post_like: 'liked your post',
+  comment_like: 'liked your comment',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  follow: 'started following you',
+  follow_request: 'requested to follow you',
+  follow_accept: 'accepted your follow request',
+  story_view: 'viewed your story',
+  mention: 'mentioned you'
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether `date` falls inside the user's quiet hours
+const isQuietTime = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.enabled) {
+    return false;
+  }
+
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+
+  const now = toMinutes(localTime);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // Windows like 22:00-07:00 wrap past midnight
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Whether a notification should be pushed to a user with these preferences
+const shouldPush = (preferences = {}, type, date = new Date()) => {
+  if (preferences.push === false) {
+    return false;
+  }
+
+  const preference = PREFERENCE_BY_TYPE[type];
+  if (preference && preferences[preference] === false) {
+    return false;
+  }
+
+  return !isQuietTime(preferences.quietHours, date);
+};
+
+// Turn a notification (with populated actors) into a push payload
+const buildPushPayload = (notification, badge) => {
+  const [actor] = notification.actors;
+  const others = notification.actorsCount - 1;
+  const who = others > 0
+    ? `${actor.name} and ${others} ${others === 1 ? 'other' : 'others'}`
+    : actor.name;
+
+  return {
+    title: 'LykeChat',
+    body: `${who} ${MESSAGE_BY_TYPE[notification.type]}`,
+    badge,
+    // Lets the device replace an earlier push for the same group
+    collapseKey: notification.groupKey,
+    data: {
+      notificationId: notification._id.toString(),
+      type: notification.type,
+      targetType: notification.targetType,
+      target: notification.target.toString(),
+      post: notification.post ? notification.post.toString() : undefined
+    }
+  };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send one push, retrying transient failures with exponential backoff
+const sendWithRetry = async (provider, message, attempt = 0) => {
+  try {
+    await provider.send(message);
+  } catch (error) {
+    if (error.code === 'PUSH_TOKEN_INVALID' || attempt >= MAX_RETRIES) {
+      throw error;
+    }
+
+    await sleep(RETRY_BASE_MS * 2 ** attempt);
+    return sendWithRetry(provider, message, attempt + 1);
+  }
+};
+
+// Push a notification to every device the recipient is signed in on
+const dispatchPush = async (notification) => {
+  const user = await User.findById(notification.recipient).select('notificationPreferences').lean();
+  if (!user || !shouldPush(user.notificationPreferences, notification.type)) {
+    return;
+  }
+
+  const sessions = await Session.find({
+    user: notification.recipient,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    pushToken: { $ne: null }
+  }).select('pushToken pushPlatform').lean();
+
+  if (sessions.length === 0 || notification.actors.length === 0) {
+    return;
+  }
+
+  const badge = await Notification.countDocuments({ recipient: notification.recipient, isRead: false });
+  const payload = buildPushPayload(notification, badge);
+  const provider = getPushProvider();
+
+  await Promise.all(sessions.map(async (session) => {
+    try {
+      await sendWithRetry(provider, { token: session.pushToken, platform: session.pushPlatform, payload });
+    } catch (error) {
+      if (error.code === 'PUSH_TOKEN_INVALID') {
+        await Session.updateOne(
+          { _id: session._id, pushToken: session.pushToken },
+          { $set: { pushToken: null, pushPlatform: null } }
+        );
+      } else {
+        console.error(`Push delivery failed for session ${session._id}:`, error.message);
+      }
+    }
+  }));
+};
+
+module.exports = {
+  dispatchPush,
+  getPushProvider,
+  registerPushProvider
+};
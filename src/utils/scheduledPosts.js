@@ -0,0 +1,128 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Hashtag = require('../models/Hashtag');
+const { postCache, cacheUtils } = require('../config/cache');
+const { moderateFields } = require('./textModeration');
+const { holdForReview } = require('./moderation');
+const { resolveMentions, syncMentions } = require('./mentions');
+
+const POST_SCHEDULER_INTERVAL_MS = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const MAX_SCHEDULE_DAYS = 75;
+
+// Validate a requested publish time. Returns { scheduledAt } or { error }.
+const parseScheduledAt = (value) => {
+  const scheduledAt = new Date(value);
+
+  if (!value || Number.isNaN(scheduledAt.getTime())) {
+    return { error: 'scheduledAt must be a valid date' };
+  }
+
+  if (scheduledAt <= new Date()) {
+    return { error: 'scheduledAt must be in the future' };
+  }
+
+  if (scheduledAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)) {
+    return { error: `Posts can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+
+  return { scheduledAt };
+};
+
+// Publish a draft or scheduled post now. The caption is moderated again, as
+// the rules may have changed since it was saved; anything the filter flags is
+// held for review. The post is dated to its publish time so it lands at the
+// top of feeds. Resolves { post, underReview }, or null if the post was
+// published, cancelled or deleted in the meantime.
+const publishPost = async (post) => {
+  const moderation = await moderateFields({ caption: post.caption }, 'post');
+  const isHeld = moderation.action === 'hold' || moderation.action === 'reject';
+  const now = new Date();
+
+  const publishedPost = await Post.findOneAndUpdate(
+    { _id: post._id, status: post.status },
+    {
+      $set: {
+        status: 'published',
+        scheduledAt: null,
+        isActive: !isHeld,
+        caption: moderation.fields.caption,
+        mentions: await resolveMentions(moderation.fields.caption, post.author, { visibility: post.visibility }),
+        createdAt: now
+      }
+    },
+    // createdAt is normally immutable; re-date the post to its publish time
+    { new: true, overwriteImmutable: true, timestamps: { createdAt: false } }
+  );
+
+  if (!publishedPost) {
+    return null;
+  }
+
+  if (isHeld) {
+    await holdForReview('post', publishedPost, publishedPost.author, moderation.violations);
+  } else {
+    await User.findByIdAndUpdate(publishedPost.author, { $inc: { postsCount: 1 } });
+    await Hashtag.recordUsage(publishedPost.hashtags, 'post');
+    await syncMentions({
+      mentions: publishedPost.mentions,
+      actor: publishedPost.author,
+      targetType: 'post',
+      target: publishedPost._id,
+      post: publishedPost._id,
+      preview: publishedPost.caption
+    });
+  }
+
+  cacheUtils.delByPrefix(postCache, 'feed:');
+  cacheUtils.delByPrefix(postCache, 'trending:');
+
+  return { post: publishedPost, underReview: isHeld };
+};
+
+// Publish every scheduled post that is due. Posts by suspended or deactivated
+// authors wait until the account is active again.
+const publishDuePosts = async () => {
+  const duePosts = await Post.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } })
+    .sort({ scheduledAt: 1 });
+
+  const activeAuthorIds = new Set((await User.find({
+    _id: { $in: duePosts.map(post => post.author) },
+    isActive: true
+  }).distinct('_id')).map(id => id.toString()));
+
+  let published = 0;
+  for (const post of duePosts) {
+    if (!activeAuthorIds.has(post.author.toString())) {
+      continue;
+    }
+
+    try {
+      if (await publishPost(post)) {
+        published++;
+      }
+    } catch (error) {
+      console.error(`Scheduled post ${post._id} failed to publish:`, error.message);
+    }
+  }
+
+  return published;
+};
+
+// Periodic run of the post scheduler
+const startPostScheduler = () => {
+  const timer = setInterval(() => {
+    publishDuePosts().catch(error => {
+      console.error('Post scheduler error:', error.message);
+    });
+  }, POST_SCHEDULER_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  parseScheduledAt,
+  publishPost,
+  publishDuePosts,
+  startPostScheduler
+};
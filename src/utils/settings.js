@@ -0,0 +1,77 @@
+const User = require('../models/User');
+
+// Interaction settings and the audiences they accept (see User.settings)
+const AUDIENCE_SETTINGS = ['comments', 'mentions', 'messages', 'storyReplies'];
+const AUDIENCES = User.schema.path('settings.comments').enumValues;
+
+// Notification switches (see User.notificationPreferences)
+const NOTIFICATION_SWITCHES = ['push', 'likes', 'comments', 'follows', 'storyViews', 'mentions'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toBoolean = (value) => value === true || value === 'true';
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Turn a notification preferences payload into `$set` paths.
+// Returns { updates } or { error } with a message for a 400 response.
+const buildNotificationPreferenceUpdates = (input = {}) => {
+  const updates = {};
+
+  NOTIFICATION_SWITCHES.forEach(key => {
+    if (input[key] !== undefined) {
+      updates[`notificationPreferences.${key}`] = toBoolean(input[key]);
+    }
+  });
+
+  if (input.quietHours) {
+    const { enabled, start, end, timezone } = input.quietHours;
+
+    if ((start !== undefined && !TIME_PATTERN.test(start)) || (end !== undefined && !TIME_PATTERN.test(end))) {
+      return { error: 'Quiet hours must be in HH:mm format' };
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return { error: 'Invalid timezone' };
+    }
+
+    if (enabled !== undefined) updates['notificationPreferences.quietHours.enabled'] = toBoolean(enabled);
+    if (start !== undefined) updates['notificationPreferences.quietHours.start'] = start;
+    if (end !== undefined) updates['notificationPreferences.quietHours.end'] = end;
+    if (timezone !== undefined) updates['notificationPreferences.quietHours.timezone'] = timezone;
+  }
+
+  return { updates };
+};
+
+// Turn a privacy settings payload into `$set` paths.
+// Returns { updates } or { error } with a message for a 400 response.
+const buildSettingUpdates = (input = {}) => {
+  const updates = {};
+
+  for (const key of AUDIENCE_SETTINGS) {
+    if (input[key] === undefined) continue;
+
+    if (!AUDIENCES.includes(input[key])) {
+      return { error: `${key} must be one of: ${AUDIENCES.join(', ')}` };
+    }
+    updates[`settings.${key}`] = input[key];
+  }
+
+  if (input.showActivityStatus !== undefined) {
+    updates['settings.showActivityStatus'] = toBoolean(input.showActivityStatus);
+  }
+
+  return { updates };
+};
+
+module.exports = {
+  buildNotificationPreferenceUpdates,
+  buildSettingUpdates
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// SMS providers all expose `send(phone, message)` and resolve once the
+// message has been handed off. Pick one with SMS_PROVIDER.
+
+// Console provider - logs messages (local development)
+const consoleProvider = {
+  name: 'console',
+  send: async (phone, message) => {
+    console.log(`📱 SMS to ${phone}: ${message}`);
+  }
+};
+
+// File provider - appends messages to a log file (local development / QA)
+const fileProvider = {
+  name: 'file',
+  send: async (phone, message) => {
+    const filePath = process.env.SMS_LOG_FILE || 'logs/sms.log';
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      `${new Date().toISOString()}\t${phone}\t${message}\n`
+    );
+  }
+};
+
+// Twilio provider - https://www.twilio.com/docs/sms/api
+const twilioProvider = {
+  name: 'twilio',
+  send: async (phone, message) => {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+    const auth = Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64');
+
+    const response = await fetch(
+      `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: phone, From: TWILIO_FROM_NUMBER, Body: message })
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Twilio request failed with status ${response.status}`);
+    }
+  }
+};
+
+// MSG91 provider - https://docs.msg91.com/
+const msg91Provider = {
+  name: 'msg91',
+  send: async (phone, message) => {
+    const { MSG91_AUTH_KEY, MSG91_SENDER_ID, MSG91_ROUTE } = process.env;
+
+    const response = await fetch('https://api.msg91.com/api/v2/sendsms', {
+      method: 'POST',
+      headers: {
+        authkey: MSG91_AUTH_KEY,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        sender: MSG91_SENDER_ID,
+        route: MSG91_ROUTE || '4',
+        sms: [{ message, to: [phone.replace(/^\+/, '')] }]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`MSG91 request failed with status ${response.status}`);
+    }
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  twilio: twilioProvider,
+  msg91: msg91Provider
+};
+
+// Register a custom provider (e.g. in tests or for a new gateway)
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider;
+};
+
+const sendSms = (phone, message) => getSmsProvider().send(phone, message);
+
+module.exports = {
+  sendSms,
+  getSmsProvider,
+  registerSmsProvider
+};
@@ -0,0 +1,127 @@
+const User = require('../models/User');
+const Suspension = require('../models/Suspension');
+const { userCache } = require('../config/cache');
+
+const SUSPENSION_SWEEP_INTERVAL_MS = parseInt(process.env.SUSPENSION_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+const MAX_SUSPENSION_DAYS = 365;
+
+const SUSPENSION_REASONS = Suspension.schema.path('reason').enumValues;
+
+const EMPTY_SUSPENSION = { record: null, reason: null, endsAt: null };
+
+const clearUserCache = (user) => {
+  userCache.del(`user:${user._id}`);
+  userCache.del(`profile:${user.profileId}`);
+};
+
+// Whether a user's current suspension (User.suspension) has run out
+const isSuspensionExpired = (suspension) => {
+  return Boolean(suspension && suspension.endsAt && new Date(suspension.endsAt) <= new Date());
+};
+
+// Validate a suspension request body ({ reason, durationDays } or
+// { reason, permanent: true }). Returns { reason, endsAt } or { error }.
+const parseSuspensionInput = ({ reason, durationDays, permanent }) => {
+  if (!SUSPENSION_REASONS.includes(reason)) {
+    return { error: `Reason must be one of: ${SUSPENSION_REASONS.join(', ')}` };
+  }
+
+  if (permanent === true) {
+    return { reason, endsAt: null };
+  }
+
+  const days = Number(durationDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_SUSPENSION_DAYS) {
+    return { error: `Provide durationDays (up to ${MAX_SUSPENSION_DAYS}) or permanent: true` };
+  }
+
+  return { reason, endsAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+};
+
+// Suspend an account until `endsAt` (null = permanently). Replaces any
+// suspension already in force. Sessions are kept so the user can appeal.
+const suspendUser = async ({ userId, reason, note, endsAt = null, suspendedBy, report }) => {
+  const now = new Date();
+
+  await Suspension.updateMany(
+    { user: userId, liftedAt: null },
+    { $set: { liftedAt: now, liftedBy: suspendedBy, liftReason: 'superseded' } }
+  );
+
+  const suspension = await Suspension.create({ user: userId, reason, note, endsAt, suspendedBy, report });
+
+  const user = await User.findByIdAndUpdate(userId, {
+    $set: {
+      isActive: false,
+      suspension: { record: suspension._id, reason, endsAt }
+    }
+  }, { new: true }).select('profileId');
+
+  if (user) {
+    clearUserCache(user);
+  }
+
+  return suspension;
+};
+
+// End a suspension and reactivate the account, unless a newer suspension
+// has replaced it. Resolves the updated suspension, or null if it was
+// already lifted.
+const liftSuspension = async (suspensionId, { liftedBy, liftReason }) => {
+  const suspension = await Suspension.findOneAndUpdate(
+    { _id: suspensionId, liftedAt: null },
+    { $set: { liftedAt: new Date(), liftedBy, liftReason } },
+    { new: true }
+  );
+
+  if (!suspension) {
+    return null;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: suspension.user, 'suspension.record': suspension._id },
+    { $set: { isActive: true, suspension: EMPTY_SUSPENSION } },
+    { new: true }
+  ).select('profileId');
+
+  if (user) {
+    clearUserCache(user);
+  }
+
+  return suspension;
+};
+
+// Reinstate every account whose temporary suspension has ended
+const reinstateExpiredSuspensions = async () => {
+  const expired = await Suspension.find({ liftedAt: null, endsAt: { $ne: null, $lte: new Date() } })
+    .select('_id')
+    .lean();
+
+  for (const { _id } of expired) {
+    await liftSuspension(_id, { liftReason: 'expired' });
+  }
+
+  return expired.length;
+};
+
+// Periodic expiry sweep, so accounts come back even if the user never signs in
+const startSuspensionSweeper = () => {
+  const timer = setInterval(() => {
+    reinstateExpiredSuspensions().catch(error => {
+      console.error('Suspension sweep error:', error.message);
+    });
+  }, SUSPENSION_SWEEP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  SUSPENSION_REASONS,
+  parseSuspensionInput,
+  isSuspensionExpired,
+  suspendUser,
+  liftSuspension,
+  reinstateExpiredSuspensions,
+  startSuspensionSweeper
+};
@@ -0,0 +1,200 @@
+const BannedWord = require('../models/BannedWord');
+const TEXT_MODERATION = require('../config/moderation');
+const { moderationCache } = require('../config/cache');
+
+// Strictest first
+const ACTION_ORDER = ['reject', 'hold', 'mask'];
+
+// Characters commonly swapped in to dodge word filters
+const LOOKALIKES = { '@': 'a', 4: 'a', 3: 'e', 1: 'i', 0: 'o', $: 's', 5: 's', 7: 't' };
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}@$]+/gu;
+// Links with a scheme or "www.", and bare lowercase domains with a known TLD
+// ("example.com/page"). Bare domains are case-sensitive so run-together
+// sentences ("Great day.In the morning") don't count as links.
+const EXPLICIT_LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const BARE_LINK_PATTERN = /(?<![\w./-])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|in|co|io|xyz|info|biz|me|ly|gl|at|gy|gd|top|click|link|site|online)(?![\w-])(?:\/\S*)?/g;
+// Digit runs with dashes, dots or brackets but no spaces, so scores
+// ("100 200 300") and date-times ("2024-05-12 10:30") aren't joined up.
+// Each run is then checked against real phone formats (isPhoneNumber).
+const PHONE_PATTERN = /\+?\d[\d().-]{8,}\d/g;
+
+// Lowercase, undo look-alike swaps and squeeze stretched letters ("fuuuck")
+const normalizeWord = (word) => word
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[@431057$]/g, char => LOOKALIKES[char])
+  .replace(/(.)\1+/gu, '$1');
+
+// Whether a PHONE_PATTERN match is written like a phone number: an
+// international number ("+44 20..." without spaces, 10 to 13 digits) or an
+// Indian one (10 digits, a mobile starting 6-9 or a landline after a leading
+// 0, optionally prefixed with 91). Digits must come in groups of at least 2,
+// so ISBNs ("978-3-16-148410-0") and long account or order numbers don't match.
+const isPhoneNumber = (match) => {
+  const groups = match.split(/\D+/).filter(Boolean);
+  if (groups.length > 4 || groups.some(group => group.length < 2)) {
+    return false;
+  }
+
+  const digits = groups.join('');
+  if (match.startsWith('+')) {
+    return digits.length >= 10 && digits.length <= 13;
+  }
+
+  if (digits.length === 11 && digits.startsWith('0')) {
+    return true;
+  }
+
+  const national = digits.length === 12 && digits.startsWith('91') ? digits.slice(2) : digits;
+  return national.length === 10 && /^[6-9]/.test(national);
+};
+
+// A word written as a name: capitalized, the rest lowercase
+const isWrittenAsName = (word) => /^\p{Lu}\p{Ll}+$/u.test(word);
+
+const strictestAction = (actions) => ACTION_ORDER.find(action => actions.includes(action)) || 'allow';
+
+// Normalized banned word -> action, built-in and admin-managed lists combined
+const getBannedWords = async () => {
+  let words = moderationCache.get('banned_words');
+
+  if (!words) {
+    words = {};
+
+    Object.values(TEXT_MODERATION.defaultWords).flat().forEach(word => {
+      words[normalizeWord(word)] = TEXT_MODERATION.rules.bannedWords;
+    });
+
+    const customWords = await BannedWord.find().select('word action').lean();
+    customWords.forEach(({ word, action }) => {
+      words[normalizeWord(word)] = action;
+    });
+
+    moderationCache.set('banned_words', words);
+  }
+
+  return words;
+};
+
+const clearBannedWordsCache = () => moderationCache.del('banned_words');
+
+const findLinks = (text) => [
+  ...(text.match(EXPLICIT_LINK_PATTERN) || []),
+  ...(text.replace(EXPLICIT_LINK_PATTERN, ' ').match(BARE_LINK_PATTERN) || [])
+];
+
+const maskLinks = (text) => text
+  .replace(EXPLICIT_LINK_PATTERN, '[link removed]')
+  .replace(BARE_LINK_PATTERN, '[link removed]');
+
+const getLinkHost = (link) => link
+  .replace(/^https?:\/\//i, '')
+  .replace(/^www\./i, '')
+  .split(/[/?#]/)[0]
+  .toLowerCase();
+
+// Run text through the moderation rules for a context ('post', 'comment',
+// 'service', 'profile', ...). Resolves:
+//   { action: 'allow' | 'mask' | 'hold' | 'reject', text, violations: [{ rule, action }] }
+// `text` has every masked match replaced.
+const moderateText = async (text, context) => {
+  if (!text || typeof text !== 'string') {
+    return { action: 'allow', text, violations: [] };
+  }
+
+  const rules = { ...TEXT_MODERATION.rules, ...TEXT_MODERATION.contexts[context] };
+  const violations = [];
+  let result = text;
+
+  const flag = (rule, action) => {
+    if (!violations.some(violation => violation.rule === rule && violation.action === action)) {
+      violations.push({ rule, action });
+    }
+  };
+
+  // Repeated characters - "soooooooo", "!!!!!!!!!"
+  if (rules.repeatedCharacters) {
+    const limit = TEXT_MODERATION.repeatedCharacterLimit;
+    result = result.replace(new RegExp(`(.)\\1{${limit},}`, 'gu'), (match, char) => {
+      flag('repeatedCharacters', rules.repeatedCharacters);
+      return rules.repeatedCharacters === 'mask' ? char.repeat(limit) : match;
+    });
+  }
+
+  // Spam links - too many links, or links to shorteners / known spam domains
+  if (rules.spamLinks) {
+    const links = findLinks(result);
+    const hasSpamDomain = links.some(link => {
+      const host = getLinkHost(link);
+      return TEXT_MODERATION.spamDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    });
+
+    if (hasSpamDomain || links.length > TEXT_MODERATION.maxLinks) {
+      flag('spamLinks', rules.spamLinks);
+      if (rules.spamLinks === 'mask') {
+        result = maskLinks(result);
+      }
+    }
+  }
+
+  // Phone numbers - international or Indian formats, allowing dashes, dots and brackets
+  if (rules.phoneNumbers) {
+    result = result.replace(PHONE_PATTERN, (match) => {
+      if (!isPhoneNumber(match)) {
+        return match;
+      }
+
+      flag('phoneNumbers', rules.phoneNumbers);
+      return rules.phoneNumbers === 'mask' ? match.replace(/\d/g, '*') : match;
+    });
+  }
+
+  // Banned words - each word carries its own action
+  if (rules.bannedWords) {
+    const bannedWords = await getBannedWords();
+
+    result = result.replace(WORD_PATTERN, (word) => {
+      const normalized = normalizeWord(word);
+      const action = bannedWords[normalized];
+      if (!action || (isWrittenAsName(word) && TEXT_MODERATION.nameWords.includes(normalized))) {
+        return word;
+      }
+
+      flag('bannedWords', action);
+      return action === 'mask' ? '*'.repeat(word.length) : word;
+    });
+  }
+
+  return {
+    action: strictestAction(violations.map(violation => violation.action)),
+    text: result,
+    violations
+  };
+};
+
+// Moderate several fields of one piece of content together.
+// Resolves { action, fields, violations } where `fields` holds the masked values.
+const moderateFields = async (fields, context) => {
+  const moderatedFields = {};
+  const violations = [];
+
+  for (const [key, value] of Object.entries(fields)) {
+    const moderation = await moderateText(value, context);
+    moderatedFields[key] = moderation.text;
+    moderation.violations.forEach(violation => violations.push({ ...violation, field: key }));
+  }
+
+  return {
+    action: strictestAction(violations.map(violation => violation.action)),
+    fields: moderatedFields,
+    violations
+  };
+};
+
+module.exports = {
+  moderateText,
+  moderateFields,
+  normalizeWord,
+  clearBannedWordsCache
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Standalone MongoDB servers (common in local development) don't support
+// transactions. Once we see that, run callbacks without a session instead.
+let transactionsSupported = true;
+
+const isTransactionUnsupportedError = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+};
+
+// Run fn(session) inside a transaction, returning whatever fn returns
+const withTransaction = async (fn) => {
+  if (!transactionsSupported) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupportedError(error)) {
+      console.warn('⚠️ MongoDB transactions unavailable, continuing without them');
+      transactionsSupported = false;
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };